@@ -0,0 +1,70 @@
+/**
+ * Agent Chatroom - Attachments
+ * Structured payloads on chat and discovery messages, so code, diffs and file
+ * references don't have to be pasted into (and parsed back out of) `text`
+ */
+
+// code: { kind, language?, content }  - a snippet
+// diff: { kind, path?, content }      - a unified diff
+// file: { kind, path, startLine?, endLine? } - a reference into the repo
+const ATTACHMENT_KINDS = ['code', 'diff', 'file'];
+
+const MAX_ATTACHMENTS = 5;
+const MAX_CONTENT_LENGTH = 64 * 1024;
+const MAX_FIELD_LENGTH = 512; // language and path
+
+/**
+ * Check a message's attachments and keep only the known fields of each.
+ * Returns { attachments } (undefined if there are none) or { error }.
+ */
+function validateAttachments(list) {
+  if (list === undefined || list === null) return { attachments: undefined };
+  if (!Array.isArray(list)) return { error: 'attachments must be an array' };
+  if (list.length > MAX_ATTACHMENTS) return { error: `At most ${MAX_ATTACHMENTS} attachments per message` };
+
+  const attachments = [];
+  for (const [i, a] of list.entries()) {
+    const result = validateAttachment(a || {});
+    if (result.error) return { error: `Attachment ${i + 1}: ${result.error}` };
+    attachments.push(result.attachment);
+  }
+  return { attachments: attachments.length > 0 ? attachments : undefined };
+}
+
+function validateAttachment({ kind, language, path, content, startLine, endLine }) {
+  if (!ATTACHMENT_KINDS.includes(kind)) {
+    return { error: `Invalid kind "${kind}" (expected one of: ${ATTACHMENT_KINDS.join(', ')})` };
+  }
+  for (const [field, value] of Object.entries({ language, path })) {
+    if (value !== undefined && (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH)) {
+      return { error: `${field} must be a string of at most ${MAX_FIELD_LENGTH} characters` };
+    }
+  }
+
+  if (kind === 'code' || kind === 'diff') {
+    if (typeof content !== 'string' || !content) {
+      return { error: `${kind} needs content` };
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      return { error: `content is longer than ${MAX_CONTENT_LENGTH} characters` };
+    }
+    return kind === 'code'
+      ? { attachment: { kind, language: language || null, content } }
+      : { attachment: { kind, path: path || null, content } };
+  }
+
+  if (!path) {
+    return { error: 'file needs a path' };
+  }
+  for (const [field, value] of Object.entries({ startLine, endLine })) {
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      return { error: `${field} must be a positive line number` };
+    }
+  }
+  if (startLine && endLine && endLine < startLine) {
+    return { error: 'endLine is before startLine' };
+  }
+  return { attachment: { kind, path, startLine: startLine || null, endLine: endLine || startLine || null } };
+}
+
+module.exports = { validateAttachments, ATTACHMENT_KINDS, MAX_ATTACHMENTS };
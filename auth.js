@@ -0,0 +1,100 @@
+/**
+ * Agent Chatroom - Connection Tokens
+ * The server generates a per-session token at startup and writes it to a file
+ * only the current user can read. Clients must present it on the WebSocket
+ * upgrade, either as `Authorization: Bearer <token>` or `?token=<token>`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const TOKEN_DIR = path.join(os.homedir(), '.agent-chatroom');
+
+/**
+ * The token file for the server on `port`: the configured `tokenFile`
+ * setting, else one per port so servers on different ports don't overwrite
+ * each other's token
+ */
+function tokenFile(port, configured = null) {
+  return configured || path.join(TOKEN_DIR, `token-${port}`);
+}
+
+/**
+ * The token file a client of `config.url` reads
+ */
+function clientTokenFile(config) {
+  return tokenFile(new URL(config.url).port || config.port, config.tokenFile);
+}
+
+/**
+ * A new session token. CHATROOM_TOKEN pins it instead (e.g. for remote clients).
+ */
+function generateToken() {
+  return process.env.CHATROOM_TOKEN || crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Write the session token to `file`, readable only by the current user
+ */
+function writeToken(token, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, token + '\n', { mode: 0o600 });
+  // writeFileSync only applies the mode when it creates the file
+  fs.chmodSync(file, 0o600);
+}
+
+/**
+ * Read the current token (CHATROOM_TOKEN wins over the file).
+ * Returns null if there is none yet.
+ */
+function readToken(file) {
+  if (process.env.CHATROOM_TOKEN) return process.env.CHATROOM_TOKEN;
+  try {
+    return fs.readFileSync(file, 'utf8').trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Headers for a client WebSocket connection. Read on every call so a
+ * reconnect picks up the token of a restarted server.
+ */
+function authHeaders(file) {
+  const token = readToken(file);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Whether an HTTP upgrade request carries the expected token
+ */
+function checkToken(req, token) {
+  let presented = null;
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    presented = header.slice(7).trim();
+  } else {
+    const url = new URL(req.url, 'http://localhost');
+    presented = url.searchParams.get('token');
+  }
+
+  if (!presented) return false;
+  const a = Buffer.from(presented);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Turn a rejected upgrade into an actionable message for clients
+ */
+function connectionError(err, file) {
+  if (/\b401\b/.test(err.message)) {
+    return `Authentication failed: chatroom token missing or stale (${file})`;
+  }
+  return err.message;
+}
+
+module.exports = { tokenFile, clientTokenFile, generateToken, writeToken, readToken, authHeaders, checkToken, connectionError };
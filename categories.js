@@ -0,0 +1,77 @@
+/**
+ * Agent Chatroom - Discovery Categories
+ * The categories agents tag broadcasts with, and how the UI shows each one.
+ * Projects add their own (or restyle the built-ins) under "categories" in
+ * .chatroom.json (see config.js); the MCP tool schema and the terminal UI
+ * both read this.
+ */
+
+const BUILTIN_CATEGORIES = {
+  found: { icon: '[FOUND]', color: 'green', description: 'something other agents should know' },
+  claiming: { icon: '[CLAIM]', color: 'yellow', description: 'starting on something' },
+  completed: { icon: '[DONE]', color: 'cyan', description: 'finished a piece of work' },
+  blocked: { icon: '[BLOCK]', color: 'red', description: 'stuck and needs help' },
+  leaving: { icon: '[LEAVE]', color: 'gray', description: 'about to disconnect; send it before chatroom_leave' }
+};
+
+const CATEGORY_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_ICON_LENGTH = 12;
+
+// Colors blessed understands in tags (plus #rrggbb)
+const COLOR_NAMES = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white', 'gray', 'grey',
+  'light-black', 'light-red', 'light-green', 'light-yellow', 'light-blue', 'light-magenta', 'light-cyan', 'light-white'
+];
+
+/**
+ * Why a category definition is unusable, or null if it is fine
+ */
+function categoryError(name, def) {
+  if (!CATEGORY_NAME_PATTERN.test(name)) {
+    return 'names are lowercase letters, digits, "-" and "_" (at most 32)';
+  }
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    return 'expected an object like { "icon": "[TEST]", "color": "red", "description": "..." }';
+  }
+  if (def.icon !== undefined && (typeof def.icon !== 'string' || !def.icon || def.icon.length > MAX_ICON_LENGTH || /[{}]/.test(def.icon))) {
+    return `icon must be 1-${MAX_ICON_LENGTH} characters without "{" or "}"`;
+  }
+  if (def.color !== undefined && !COLOR_NAMES.includes(def.color) && !/^#[0-9a-fA-F]{6}$/.test(def.color)) {
+    return `unknown color "${def.color}" (use one of ${COLOR_NAMES.join(', ')} or #rrggbb)`;
+  }
+  if (def.description !== undefined && typeof def.description !== 'string') {
+    return 'description must be a string';
+  }
+  return null;
+}
+
+/**
+ * The built-in categories plus `defined`, the "categories" setting from
+ * config.js. Unusable entries are returned as `warnings` (the rest still
+ * loads) so a typo can't take the chatroom down.
+ */
+function loadCategories(defined = {}) {
+  const categories = {};
+  for (const [name, def] of Object.entries(BUILTIN_CATEGORIES)) {
+    categories[name] = { ...def };
+  }
+  const warnings = [];
+
+  for (const [name, def] of Object.entries(defined)) {
+    const error = categoryError(name, def);
+    if (error) {
+      warnings.push(`Ignoring category "${name}": ${error}`);
+      continue;
+    }
+    categories[name] = {
+      icon: `[${name.toUpperCase()}]`,
+      color: 'white',
+      description: '',
+      ...categories[name],
+      ...def
+    };
+  }
+  return { categories, warnings };
+}
+
+module.exports = { loadCategories, BUILTIN_CATEGORIES };
@@ -16,14 +16,84 @@ const {
 
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const { DEFAULT_ROOM } = require('./history');
+const { loadConfig } = require('./config');
+const { TASK_STATES } = require('./tasks');
+const { ATTACHMENT_KINDS, MAX_ATTACHMENTS } = require('./attachments');
+const { loadCategories } = require('./categories');
+const { exportTranscript, EXPORT_FORMATS } = require('./transcript');
+const { authHeaders, connectionError, clientTokenFile } = require('./auth');
+
+// Settings from .chatroom.json / the environment; a bad value stops the MCP
+// server here, with the reason on stderr, rather than failing later
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+for (const warning of loaded.warnings) console.error(warning);
+const CONFIG = loaded.config;
+
+const SERVER_URL = CONFIG.url;
+const ROOM = CONFIG.room;
+const MAX_RECONNECT_ATTEMPTS = CONFIG.maxReconnectAttempts;
+
+const MAX_MESSAGES = CONFIG.messageBuffer;
+const REQUEST_TIMEOUT = CONFIG.requestTimeout;
+const DEFAULT_CHECK_COUNT = 10;
+const DEFAULT_WAIT_SECONDS = 30;
+const MAX_WAIT_SECONDS = 300;
+
+// What an agent should do when chatroom_check reports a control command
+const CONTROL_INSTRUCTIONS = {
+  shutdown: 'The user asked you to shut down. Broadcast a final status, call chatroom_leave and stop working.',
+  kick: 'The user removed you from the chatroom. Stop working and exit.',
+  pause: 'The user paused the room. Stop working and keep calling chatroom_wait until it reports resume.',
+  resume: 'The user resumed the room. Continue your work.'
+};
+
+// Discovery categories: the built-ins plus any the project defines in .chatroom.json
+const { categories: CATEGORIES, warnings: categoryWarnings } = loadCategories(CONFIG.categories);
+for (const warning of categoryWarnings) console.error(warning);
+
+const CATEGORY_SCHEMA = {
+  type: 'string',
+  enum: Object.keys(CATEGORIES),
+  description: 'Optional category for discoveries: ' +
+    Object.entries(CATEGORIES).map(([name, c]) => c.description ? `"${name}" (${c.description})` : `"${name}"`).join(', ')
+};
+
+// Input schema for structured payloads on chatroom_broadcast / chatroom_reply
+const ATTACHMENTS_SCHEMA = {
+  type: 'array',
+  maxItems: MAX_ATTACHMENTS,
+  description: 'Optional structured payloads instead of pasting into the message: a code snippet ({ kind: "code", language, content }), a unified diff ({ kind: "diff", path, content }) or a file reference ({ kind: "file", path, startLine, endLine })',
+  items: {
+    type: 'object',
+    properties: {
+      kind: { type: 'string', enum: ATTACHMENT_KINDS },
+      language: { type: 'string', description: 'code: language for highlighting, e.g. "ts"' },
+      path: { type: 'string', description: 'file: path relative to the repo root; diff: file the diff applies to' },
+      content: { type: 'string', description: 'code / diff: the snippet or unified diff' },
+      startLine: { type: 'number', description: 'file: first line referenced' },
+      endLine: { type: 'number', description: 'file: last line referenced' }
+    },
+    required: ['kind']
+  }
+};
+
+// Shared message buffers, one per room - all agents in a room see the same messages
+const roomMessages = new Map();
 
-const SERVER_URL = process.env.CHATROOM_URL || 'ws://localhost:3030';
-const MAX_RECONNECT_ATTEMPTS = 3;
+// Open questions per room, as last reported by the server
+const roomQuestions = new Map();
 
-// Shared message buffer - all agents see the same messages
-let messages = [];
+// Agents blocked in chatroom_wait: { name, room, matches(msg), wake() }
+const waiters = new Set();
 
-// Per-agent connection state: name -> { ws, type, connected, registered, pendingQuestions }
+// Per-agent connection state: name -> { ws, name, type, room, connected, registered, pendingQuestions, pendingRequests, readIds, readAhead, seenIds }
 const connections = new Map();
 
 /**
@@ -34,21 +104,240 @@ function getConnection(name) {
     connections.set(name, {
       ws: null,
       type: 'agent',
+      room: ROOM,
       connected: false,
       registered: false,
-      pendingQuestions: new Map()
+      pendingQuestions: new Map(),
+      pendingRequests: new Map(),
+      readIds: new Map(), // room -> id up to which this agent has read everything
+      readAhead: new Map(), // room -> Set of ids read past that point (by a filtered check/wait)
+      seenIds: new Map() // room -> newest id this agent's own connection received there
     });
   }
   return connections.get(name);
 }
 
+/**
+ * Id up to which an agent has read everything in a room (0 if none)
+ */
+function readCursor(conn, room) {
+  return (conn && conn.readIds.get(room)) || 0;
+}
+
+/**
+ * Id of the newest message an agent's own connection received in a room (0 if none)
+ */
+function seenId(conn, room) {
+  return conn.seenIds.get(room) || 0;
+}
+
+/**
+ * Note that an agent's connection received message `id` in a room
+ */
+function markSeen(conn, room, id) {
+  if (id > seenId(conn, room)) conn.seenIds.set(room, id);
+}
+
+/**
+ * Whether an agent has yet to read a message
+ */
+function isUnread(conn, room, m) {
+  if (m.id <= readCursor(conn, room)) return false;
+  const ahead = conn && conn.readAhead.get(room);
+  return !ahead || !ahead.has(m.id);
+}
+
+/**
+ * Mark the messages an agent was just given as read. Messages a filter passed
+ * over stay unread; the cursor only moves past an unbroken run of read ones
+ * (the agent's own messages and other agents' DMs don't count).
+ */
+function markRead(conn, room, messages) {
+  if (!conn) return;
+  if (!conn.readAhead.has(room)) conn.readAhead.set(room, new Set());
+  const ahead = conn.readAhead.get(room);
+  let cursor = readCursor(conn, room);
+  for (const m of messages) {
+    if (m.id > cursor) ahead.add(m.id);
+  }
+
+  for (const m of getRoomMessages(room)) {
+    if (m.id <= cursor) continue;
+    if (!ahead.has(m.id) && isVisibleTo(conn.name, m) && m.from !== conn.name) break;
+    ahead.delete(m.id);
+    cursor = m.id;
+  }
+  conn.readIds.set(room, cursor);
+}
+
+/**
+ * Whether a message `@mentions` an agent, by name or by agent type
+ */
+function mentionsAgent(m, name, type) {
+  return (m.mentions || []).some(mention => mention === name || mention === type);
+}
+
+/**
+ * Get the shared message buffer for a room
+ */
+function getRoomMessages(room) {
+  if (!roomMessages.has(room)) {
+    roomMessages.set(room, []);
+  }
+  return roomMessages.get(room);
+}
+
+/**
+ * Add a message to its room's buffer, keeping it ordered by id (replayed
+ * history can arrive after live messages). Returns false for dupes - every
+ * agent's connection receives the same broadcast.
+ */
+function storeMessage(msg) {
+  const messages = getRoomMessages(msg.room || DEFAULT_ROOM);
+
+  let i = messages.length;
+  while (i > 0 && messages[i - 1].id > msg.id) i--;
+  if (i > 0 && messages[i - 1].id === msg.id) return false;
+
+  messages.splice(i, 0, msg);
+  if (messages.length > MAX_MESSAGES) messages.shift();
+  return true;
+}
+
+/**
+ * Id of the newest message buffered for a room (0 if none)
+ */
+function newestId(room) {
+  const messages = getRoomMessages(room);
+  return messages.length > 0 ? messages[messages.length - 1].id : 0;
+}
+
+/**
+ * Store messages replayed from the server's history
+ */
+function storeReplayed(room, messages) {
+  for (const m of messages) {
+    const msg = { room, ...m };
+    if (storeMessage(msg)) {
+      wakeWaiters(w => w.room === room && w.matches(msg));
+    }
+  }
+}
+
+/**
+ * Fetch everything after `sinceId` that this connection missed (e.g. while it
+ * was reconnecting and more was said than the server's join backlog covers)
+ */
+async function fillGap(conn, room, sinceId) {
+  let cursor = sinceId;
+  for (;;) {
+    const response = await request(conn, { type: 'history_request', sinceId: cursor, limit: MAX_MESSAGES });
+    if (!response || response.type === 'error' || response.messages.length === 0) return;
+
+    storeReplayed(room, response.messages);
+    cursor = response.messages[response.messages.length - 1].id;
+    if (!response.hasMore) return;
+  }
+}
+
+/**
+ * Send a request to the server and wait for the reply carrying the same requestId.
+ * Resolves with the reply, or null on timeout.
+ */
+function request(conn, payload, timeoutMs = REQUEST_TIMEOUT) {
+  return new Promise((resolve) => {
+    const requestId = crypto.randomBytes(4).toString('hex');
+    const timeout = setTimeout(() => {
+      conn.pendingRequests.delete(requestId);
+      resolve(null);
+    }, timeoutMs);
+
+    conn.pendingRequests.set(requestId, (reply) => {
+      clearTimeout(timeout);
+      conn.pendingRequests.delete(requestId);
+      resolve(reply);
+    });
+
+    conn.ws.send(JSON.stringify({ ...payload, requestId }));
+  });
+}
+
+/**
+ * Register an open connection under `name`. The server may assign a different
+ * name if `name` is taken; the connection is re-keyed to whatever it assigns.
+ */
+async function register(conn, name, isReconnect) {
+  // The server replays the room's backlog (or, on a reconnect, what we
+  // missed) right after accepting us. Reads must not start before it (and
+  // any gap before it) is in the buffer, or read cursors would skip past the
+  // older messages.
+  const backlog = new Promise((resolve) => { conn.onBacklog = resolve; });
+  // Other agents in this process may have buffered the messages since, so
+  // what this agent missed is counted from what its own connection last saw
+  const lastSeenId = seenId(conn, conn.room);
+
+  const response = await request(conn, {
+    type: 'register',
+    name,
+    agentType: conn.type,
+    room: conn.room,
+    reconnect: isReconnect,
+    // Ask for exactly what was said while we were gone instead of the backlog
+    lastSeenId: isReconnect && lastSeenId > 0 ? lastSeenId : undefined
+  });
+  if (!response) {
+    return { success: false, error: 'Registration timed out' };
+  }
+  if (response.type === 'error') {
+    return { success: false, error: response.error };
+  }
+
+  conn.registered = true;
+  conn.name = response.name;
+  await Promise.race([backlog, new Promise(r => setTimeout(r, REQUEST_TIMEOUT))]);
+  if (isReconnect) {
+    // Reported by the next chatroom_check / chatroom_wait
+    const missed = getRoomMessages(conn.room)
+      .filter(m => m.id > lastSeenId && isVisibleTo(conn.name, m) && m.from !== conn.name);
+    conn.reconnected = { missed: missed.length };
+  }
+  if (response.name !== name && isReconnect) {
+    // Our old socket hasn't timed out on the server yet. The agent keeps
+    // calling us by its old name, so the connection stays under that key;
+    // what it sends goes out under the new one (see agentRequest).
+    conn.reconnected.name = response.name;
+    return {
+      success: true,
+      name: response.name,
+      message: `Reconnected as ${response.name} ("${name}" is still held by the old connection)`
+    };
+  }
+  if (response.name !== name) {
+    connections.delete(name);
+    connections.set(response.name, conn);
+    return {
+      success: true,
+      name: response.name,
+      message: `"${name}" is taken - connected as ${response.name} in ${conn.room}. Use name "${response.name}" in all chatroom tools.`
+    };
+  }
+  return {
+    success: true,
+    name,
+    message: isReconnect ? `Reconnected as ${name}` : `Connected as ${name} in ${conn.room}`
+  };
+}
+
 /**
  * Connect to chatroom for a specific agent
  */
-async function connect(name, type, isReconnect = false) {
+async function connect(name, type, isReconnect = false, room = null) {
   if (!name) {
     return { success: false, error: 'Name is required' };
   }
+  if (type === 'user') {
+    return { success: false, error: 'Type "user" is reserved for the human at the terminal UI' };
+  }
 
   const conn = getConnection(name);
   if (type) conn.type = type;
@@ -56,16 +345,17 @@ async function connect(name, type, isReconnect = false) {
   // Already connected with this name
   if (conn.connected && conn.ws && conn.ws.readyState === 1) {
     if (!conn.registered) {
-      conn.ws.send(JSON.stringify({
-        type: 'register',
-        name: name,
-        agentType: conn.type
-      }));
-      conn.registered = true;
+      if (room) conn.room = room;
+      return register(conn, name, isReconnect);
+    } else if (room && room !== conn.room) {
+      conn.room = room;
+      conn.ws.send(JSON.stringify({ type: 'join_room', room }));
     }
-    return { success: true, message: `Joined as ${name}` };
+    return { success: true, message: `Joined as ${name} in ${conn.room}` };
   }
 
+  if (room) conn.room = room;
+
   // Close any existing dead connection for this agent
   if (conn.ws) {
     try { conn.ws.terminate(); } catch (e) {}
@@ -75,7 +365,7 @@ async function connect(name, type, isReconnect = false) {
   }
 
   return new Promise((resolve) => {
-    const ws = new WebSocket(SERVER_URL);
+    const ws = new WebSocket(SERVER_URL, { headers: authHeaders(clientTokenFile(CONFIG)) });
     conn.ws = ws;
 
     const timeout = setTimeout(() => {
@@ -84,20 +374,20 @@ async function connect(name, type, isReconnect = false) {
       resolve({ success: false, error: 'Connection timeout' });
     }, 5000);
 
-    ws.on('open', () => {
+    ws.on('open', async () => {
       clearTimeout(timeout);
       conn.connected = true;
-      ws.send(JSON.stringify({
-        type: 'register',
-        name: name,
-        agentType: conn.type
-      }));
-      conn.registered = true;
-      const msg = isReconnect ? `Reconnected as ${name}` : `Connected as ${name}`;
-      resolve({ success: true, message: msg });
+      const result = await register(conn, name, isReconnect);
+      if (!result.success) {
+        conn.ws = null;
+        conn.connected = false;
+        ws.close();
+        if (!isReconnect) connections.delete(name);
+      }
+      resolve(result);
     });
 
-    ws.on('message', (data) => {
+    ws.on('message', async (data) => {
       try {
         const msg = JSON.parse(data.toString());
 
@@ -107,28 +397,71 @@ async function connect(name, type, isReconnect = false) {
           return;
         }
 
-        // Add to shared message buffer (dedupe by timestamp+from+text)
-        const isDupe = messages.some(m =>
-          m.timestamp === msg.timestamp &&
-          m.from === msg.from &&
-          m.text === msg.text
-        );
-        if (!isDupe) {
-          messages.push(msg);
-          if (messages.length > 100) messages.shift();
+        // Room list changes are server-wide, not part of any room's conversation
+        if (msg.type === 'rooms_update') return;
+
+        // Replies to our own requests go to whoever is waiting on them
+        if (msg.requestId && conn.pendingRequests.has(msg.requestId)) {
+          conn.pendingRequests.get(msg.requestId)(msg);
+          return;
+        }
+
+        // History replayed by the server after register: what we missed since
+        // `lastSeenId` on a reconnect, else the backlog. If the backlog doesn't
+        // reach back to the newest message we already had, fetch the gap.
+        if (msg.type === 'history') {
+          const messages = msg.messages || [];
+          const known = newestId(msg.room);
+          storeReplayed(msg.room, messages);
+          const last = messages.length > 0 ? messages[messages.length - 1].id : known;
+          if (typeof msg.sinceId === 'number' && msg.hasMore) {
+            await fillGap(conn, msg.room, last);
+          } else if (known > 0 && messages.length > 0 && messages[0].id > known + 1) {
+            await fillGap(conn, msg.room, known);
+          }
+          // Caught up: anything newer arrives live
+          markSeen(conn, msg.room, newestId(msg.room));
+          // The log outlives server restarts. An agent new to the room starts
+          // out having read past sessions (reread / before still reach them),
+          // so old instructions and claims don't read as new work.
+          if (readCursor(conn, msg.room) === 0 && typeof msg.sessionStartedAt === 'number') {
+            const past = getRoomMessages(msg.room).filter(m => m.timestamp < msg.sessionStartedAt);
+            if (past.length > 0) conn.readIds.set(msg.room, past[past.length - 1].id);
+          }
+          if (conn.onBacklog) {
+            conn.onBacklog();
+            conn.onBacklog = null;
+          }
+          return;
+        }
+
+        if (msg.type === 'questions_update') {
+          roomQuestions.set(msg.room, msg.questions || []);
+          return;
+        }
+
+        // Control commands from the user are per-agent directives, not conversation
+        if (msg.type === 'control') {
+          recordControl(conn, msg);
+          return;
+        }
+
+        // Only relayed conversation carries an id - participant, claim and
+        // task snapshots are state, fetched on demand
+        if (msg.id === undefined) return;
+
+        markSeen(conn, msg.room || DEFAULT_ROOM, msg.id);
+        if (storeMessage(msg)) {
+          wakeWaiters(w => w.room === (msg.room || DEFAULT_ROOM) && w.matches(msg));
         }
 
         // Check for answers to pending questions
-        if (msg.type === 'chat' && msg.text && msg.from !== name) {
-          const match = msg.text.match(/\[A:([a-f0-9]+)\]\s*(.*)/);
-          if (match) {
-            const [, qId, answer] = match;
-            const pending = conn.pendingQuestions.get(qId);
-            if (pending) {
-              clearTimeout(pending.timeout);
-              conn.pendingQuestions.delete(qId);
-              pending.resolve(answer);
-            }
+        if (msg.type === 'answer') {
+          const pending = conn.pendingQuestions.get(msg.questionId);
+          if (pending) {
+            clearTimeout(pending.timeout);
+            conn.pendingQuestions.delete(msg.questionId);
+            pending.resolve(msg);
           }
         }
       } catch (e) {}
@@ -137,17 +470,74 @@ async function connect(name, type, isReconnect = false) {
     ws.on('close', (code) => {
       conn.connected = false;
       conn.registered = false;
+      // Don't leave a chatroom_wait blocked on a dead connection
+      wakeWaiters(w => w.name === conn.name);
     });
 
     ws.on('error', (err) => {
       clearTimeout(timeout);
       conn.connected = false;
       conn.registered = false;
-      resolve({ success: false, error: err.message });
+      resolve({ success: false, error: connectionError(err, clientTokenFile(CONFIG)) });
     });
   });
 }
 
+/**
+ * Remember a control command for the agent that received it. Kick and
+ * shutdown stick, pause holds until resume, and resume is reported once.
+ */
+function recordControl(conn, msg) {
+  if (msg.action === 'kick') conn.kicked = msg;
+  if (msg.action === 'shutdown') conn.shutdown = msg;
+  if (msg.action === 'pause') {
+    conn.paused = msg;
+    conn.resumed = null;
+  }
+  if (msg.action === 'resume') {
+    conn.paused = null;
+    conn.resumed = msg;
+  }
+  wakeWaiters(w => w.name === conn.name);
+}
+
+/**
+ * Release the chatroom_wait calls selected by `predicate`
+ */
+function wakeWaiters(predicate) {
+  for (const waiter of [...waiters]) {
+    if (predicate(waiter)) waiter.wake();
+  }
+}
+
+/**
+ * The control command an agent must act on now, if any
+ */
+function pendingControl(conn) {
+  const msg = conn.kicked || conn.shutdown || conn.paused || conn.resumed;
+  if (!msg) return null;
+  if (msg === conn.resumed) conn.resumed = null;
+
+  return {
+    action: msg.action,
+    from: msg.from,
+    reason: msg.reason || undefined,
+    timestamp: msg.timestamp,
+    instruction: CONTROL_INSTRUCTIONS[msg.action]
+  };
+}
+
+/**
+ * Whether an agent reconnected since it was last told, how many messages
+ * from others it missed while offline (they are among its unread messages),
+ * and the name it got if its old one was still held. Reported once.
+ */
+function takeReconnect(conn) {
+  const info = conn ? conn.reconnected : null;
+  if (conn) conn.reconnected = null;
+  return info || null;
+}
+
 /**
  * Try to reconnect a specific agent if disconnected
  */
@@ -160,6 +550,9 @@ async function ensureConnected(name) {
   if (!conn) {
     return { success: false, error: `Agent ${name} not initialized - call chatroom_join first` };
   }
+  if (conn.kicked) {
+    return { success: false, error: `${name} was removed from the chatroom by ${conn.kicked.from}` };
+  }
 
   if (conn.connected && conn.ws && conn.ws.readyState === 1) {
     return { success: true, wasReconnect: false };
@@ -220,42 +613,83 @@ function disconnect(name) {
 /**
  * Broadcast a message from a specific agent
  */
-function broadcast(message, category, senderName) {
+async function broadcast(message, category, senderName, attachments) {
   if (!senderName) {
     return { success: false, error: 'Name is required to send messages' };
   }
 
-  const conn = connections.get(senderName);
-  if (!conn || !conn.connected || !conn.ws || conn.ws.readyState !== 1) {
-    return { success: false, error: `${senderName} is not connected` };
+  const msg = category
+    ? { type: 'discovery', category, text: message, attachments }
+    : { type: 'chat', text: message, attachments };
+
+  const { response, error } = await agentRequest(senderName, msg);
+  if (error) {
+    return { success: false, error };
+  }
+  return { success: true, message: 'Message sent', id: response.id };
+}
+
+/**
+ * Reply to message `replyTo`, in its thread
+ */
+async function reply(senderName, replyTo, message, category, attachments) {
+  if (!senderName) {
+    return { success: false, error: 'Name is required to send messages' };
+  }
+  if (!Number.isInteger(replyTo)) {
+    return { success: false, error: 'replyTo must be a message id' };
   }
 
   const msg = category
-    ? { type: 'discovery', category, text: message, from: senderName }
-    : { type: 'chat', text: message, from: senderName };
+    ? { type: 'discovery', category, text: message, attachments, replyTo }
+    : { type: 'chat', text: message, attachments, replyTo };
 
-  conn.ws.send(JSON.stringify(msg));
-  return { success: true, message: 'Message sent' };
+  const { response, error } = await agentRequest(senderName, msg);
+  if (error) {
+    return { success: false, error };
+  }
+  return { success: true, message: `Replied to #${replyTo}`, id: response.id };
 }
 
 /**
- * Update agent status (busy/idle)
+ * Send a direct message to one named participant
  */
-function updateStatus(name, status, task) {
-  if (!name) {
-    return { success: false, error: 'Name is required' };
+async function dm(senderName, to, message) {
+  if (!senderName) {
+    return { success: false, error: 'Name is required to send messages' };
+  }
+  if (!to) {
+    return { success: false, error: 'Recipient is required' };
   }
 
-  const conn = connections.get(name);
-  if (!conn || !conn.connected || !conn.ws || conn.ws.readyState !== 1) {
-    return { success: false, error: `${name} is not connected` };
+  const { response, error } = await agentRequest(senderName, { type: 'dm', to, text: message });
+  if (error) {
+    return { success: false, error };
   }
 
-  conn.ws.send(JSON.stringify({
+  // The server's echo is our copy of the DM
+  storeMessage(response);
+  return { success: true, message: `Message sent to ${response.to}` };
+}
+
+/**
+ * Whether an agent may see a message (DMs are only visible to their two ends)
+ */
+function isVisibleTo(name, m) {
+  if (m.type !== 'dm') return true;
+  return m.to === name || m.from === name;
+}
+
+/**
+ * Update agent status (busy/idle)
+ */
+async function updateStatus(name, status, task) {
+  const { error } = await agentRequest(name, {
     type: 'status_update',
     status: status || 'idle',
     task: task || null
-  }));
+  });
+  if (error) return { success: false, error };
 
   return { success: true, message: `Status updated to ${status}${task ? ': ' + task : ''}` };
 }
@@ -263,38 +697,242 @@ function updateStatus(name, status, task) {
 /**
  * Ask a question and wait for answer (from a specific agent)
  */
-async function ask(name, question, timeoutMs = 30000) {
+async function ask(name, question, timeoutMs = 30000, to = null) {
   if (!name) {
     return { success: false, error: 'Name is required' };
   }
 
-  const conn = connections.get(name);
-  if (!conn || !conn.connected) {
-    return { success: false, error: `${name} is not connected` };
+  // The answer arrives on the connection, so make sure there is one before
+  // registering the question with it
+  const ensured = await ensureConnected(name);
+  if (!ensured.success) {
+    return { success: false, error: ensured.error };
   }
+  const conn = connections.get(name);
 
   const qId = crypto.randomBytes(4).toString('hex');
-  const taggedQ = `[Q:${qId}] ${question}`;
 
-  return new Promise((resolve) => {
+  const answered = new Promise((resolve) => {
     const timeout = setTimeout(() => {
       conn.pendingQuestions.delete(qId);
-      resolve({ success: false, error: 'No response (timeout)' });
+      resolve({ success: false, questionId: qId, error: 'No response (timeout)' });
     }, timeoutMs);
 
     conn.pendingQuestions.set(qId, {
-      resolve: (answer) => resolve({ success: true, answer }),
+      resolve: (answer) => resolve({
+        success: true,
+        questionId: qId,
+        answer: answer.text,
+        answeredBy: answer.from
+      }),
       timeout
     });
+  });
 
-    conn.ws.send(JSON.stringify({ type: 'chat', text: taggedQ, from: name }));
+  // The server acks the question (or refuses it, e.g. for an observer) before anyone can answer
+  const { error } = await agentRequest(name, {
+    type: 'question',
+    id: qId,
+    text: question,
+    to,
+    timeout: timeoutMs
   });
+  if (error) {
+    const pending = conn.pendingQuestions.get(qId);
+    clearTimeout(pending.timeout);
+    conn.pendingQuestions.delete(qId);
+    return { success: false, questionId: qId, error };
+  }
+  return answered;
+}
+
+/**
+ * Answer an open question by its id
+ */
+async function answer(name, questionId, text) {
+  if (!name) {
+    return { success: false, error: 'Name is required' };
+  }
+  if (!questionId) {
+    return { success: false, error: 'questionId is required' };
+  }
+
+  const { error } = await agentRequest(name, { type: 'answer', questionId, text });
+  if (error) {
+    return { success: false, error };
+  }
+  return { success: true, message: `Answered question ${questionId}` };
+}
+
+/**
+ * Send a request for an agent and wait for the server's reply. It goes out
+ * under the name the server registered the agent as, which after a
+ * reconnect may differ from the name the agent calls us with.
+ */
+async function agentRequest(name, payload) {
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+
+  const ensured = await ensureConnected(name);
+  if (!ensured.success) {
+    return { error: ensured.error };
+  }
+  const conn = connections.get(name);
+  if (!conn || !conn.connected || !conn.ws || conn.ws.readyState !== 1) {
+    return { error: `${name} is not connected` };
+  }
+
+  const response = await request(conn, { ...payload, from: conn.name });
+  if (!response) {
+    return { error: 'No response from server (timeout)' };
+  }
+  if (response.type === 'error') {
+    return { error: response.error };
+  }
+  return { response };
+}
+
+/**
+ * Claim a resource (file, module, task) so other agents leave it alone
+ */
+async function claim(name, resource, note) {
+  const { response, error } = await agentRequest(name, { type: 'claim', resource, note });
+  if (error) return { success: false, error };
+
+  if (!response.success) {
+    return {
+      success: false,
+      resource,
+      holder: response.holder,
+      claimedAt: response.claimedAt,
+      error: `${resource} is already claimed by ${response.holder}`
+    };
+  }
+  return {
+    success: true,
+    resource,
+    alreadyHeld: response.alreadyHeld || false,
+    message: `You now hold ${resource}`
+  };
+}
+
+/**
+ * Release a resource this agent holds
+ */
+async function release(name, resource) {
+  const { response, error } = await agentRequest(name, { type: 'release', resource });
+  if (error) return { success: false, error };
+
+  if (!response.success) {
+    return { success: false, resource, holder: response.holder, error: response.error };
+  }
+  return { success: true, resource, message: `Released ${resource}` };
+}
+
+/**
+ * List current claims in this agent's room
+ */
+async function listClaims(name) {
+  const { response, error } = await agentRequest(name, { type: 'claims' });
+  if (error) return { success: false, error, claims: [] };
+
+  return { success: true, room: response.room, claims: response.claims };
+}
+
+/**
+ * Shared handling for task board replies
+ */
+function taskResult(response, error) {
+  if (error) return { success: false, error };
+  if (!response.success) return { success: false, error: response.error, task: response.task };
+  return { success: true, task: response.task };
+}
+
+/**
+ * Add a task to the room's board
+ */
+async function createTask(name, title, description, assignee) {
+  const { response, error } = await agentRequest(name, { type: 'task_create', title, description, assignee });
+  return taskResult(response, error);
+}
+
+/**
+ * Change a task's state, assignee or note
+ */
+async function updateTask(name, id, state, assignee, note) {
+  const { response, error } = await agentRequest(name, { type: 'task_update', id, state, assignee, note });
+  return taskResult(response, error);
+}
+
+/**
+ * Take a task (assign to self and start it); without an id takes the next todo for this agent
+ */
+async function pickTask(name, id) {
+  const { response, error } = await agentRequest(name, { type: 'task_pick', id });
+  return taskResult(response, error);
+}
+
+/**
+ * List tasks on the room's board
+ */
+async function listTasks(name, state, assignee) {
+  const { response, error } = await agentRequest(name, { type: 'tasks', state, assignee });
+  if (error) return { success: false, error, tasks: [] };
+
+  return { success: true, room: response.room, tasks: response.tasks };
+}
+
+/**
+ * Write a transcript of this agent's room: this server session, or the whole
+ * history with `all`
+ */
+async function exportRoom(name, format = 'md', file, all) {
+  const { response, error } = await agentRequest(name, { type: 'transcript_request', since: all ? 0 : undefined });
+  if (error) return { success: false, error };
+
+  const result = exportTranscript(response.room, response.messages, { format, file, categories: CATEGORIES });
+  return result.success ? { ...result, room: response.room, format } : result;
+}
+
+/**
+ * The session report so far: participants and how long they stayed, claims,
+ * completed tasks, unanswered questions and abnormal exits
+ */
+async function sessionReport(name) {
+  const { response, error } = await agentRequest(name, { type: 'report_request' });
+  if (error) return { success: false, error };
+  return { success: true, report: response.report };
+}
+
+/**
+ * Shape a message for tool results
+ */
+function formatMessage(m) {
+  return {
+    id: m.id,
+    from: m.from || 'system',
+    type: m.type,
+    to: m.to,
+    text: m.text,
+    category: m.category,
+    mentions: m.mentions,
+    attachments: m.attachments,
+    replyTo: m.replyTo,
+    threadId: m.threadId,
+    questionId: m.questionId,
+    timestamp: m.timestamp
+  };
 }
 
 /**
- * Check messages (with auto-reconnect for specific agent)
+ * Check messages (with auto-reconnect for specific agent). By default returns
+ * what this agent hasn't read yet and advances its read cursor; `reread`
+ * returns the latest messages regardless. With `before`, pages back through
+ * the server's history instead of the local buffer; with `thread`, fetches
+ * the whole thread that message belongs to.
  */
-async function check(name, count = 10, since = 0) {
+async function check(name, { count, since = 0, before = 0, reread = false, mentionsMe = false, thread } = {}) {
   if (!name) {
     return { success: false, error: 'Name is required', messages: [] };
   }
@@ -304,22 +942,230 @@ async function check(name, count = 10, since = 0) {
   const conn = connections.get(name);
   const isConnected = conn ? conn.connected : false;
 
-  const filtered = since > 0
-    ? messages.filter(m => m.timestamp > since)
-    : messages.slice(-count);
+  // A kicked agent still gets its control below; anyone else who is offline
+  // gets the reason, not a stale buffer
+  if (!isConnected && !(conn && conn.kicked)) {
+    return { success: false, error: connResult.error || `${name} is not connected`, messages: [] };
+  }
 
-  return {
+  if (before > 0) {
+    if (!isConnected) {
+      return { success: false, error: `${name} is not connected`, messages: [] };
+    }
+    const response = await request(conn, { type: 'history_request', beforeId: before, limit: count || DEFAULT_CHECK_COUNT });
+    if (!response) {
+      return { success: false, error: 'History request timed out', messages: [] };
+    }
+    return {
+      success: true,
+      connected: isConnected,
+      reconnected: connResult.wasReconnect || false,
+      room: conn.room,
+      hasMore: response.hasMore,
+      messages: response.messages.map(formatMessage)
+    };
+  }
+
+  if (thread !== undefined) {
+    if (!isConnected) {
+      return { success: false, error: `${name} is not connected`, messages: [] };
+    }
+    const response = await request(conn, { type: 'thread_request', id: thread });
+    if (!response) {
+      return { success: false, error: 'Thread request timed out', messages: [] };
+    }
+    if (response.type === 'error') {
+      return { success: false, error: response.error, messages: [] };
+    }
+    markRead(conn, conn.room, response.messages);
+    return {
+      success: true,
+      connected: isConnected,
+      reconnected: connResult.wasReconnect || false,
+      room: conn.room,
+      threadId: response.threadId,
+      messages: response.messages.map(formatMessage)
+    };
+  }
+
+  // The buffer is shared by every agent in this process - hide other agents' DMs.
+  // `me` is the name the server knows us by (see register on a reconnect).
+  const room = conn.room;
+  const me = conn.name;
+  const visible = getRoomMessages(room)
+    .filter(m => isVisibleTo(me, m))
+    .filter(m => !mentionsMe || mentionsAgent(m, me, conn.type));
+
+  // Default: everything this agent hasn't read yet (except its own messages)
+  let filtered;
+  let unreadRemaining = 0;
+  if (since > 0) {
+    filtered = visible.filter(m => m.id > since);
+  } else if (reread) {
+    filtered = visible.slice(-(count || DEFAULT_CHECK_COUNT));
+  } else {
+    const unread = visible.filter(m => isUnread(conn, room, m) && m.from !== me);
+    filtered = count ? unread.slice(0, count) : unread;
+    unreadRemaining = unread.length - filtered.length;
+  }
+  markRead(conn, room, filtered);
+
+  const reconnect = takeReconnect(conn);
+  const result = {
     success: true,
     connected: isConnected,
-    reconnected: connResult.wasReconnect || false,
-    messages: filtered.map(m => ({
-      from: m.from || 'system',
-      type: m.type,
-      text: m.text,
-      category: m.category,
-      timestamp: m.timestamp
-    }))
+    reconnected: Boolean(reconnect) || connResult.wasReconnect || false,
+    room,
+    messages: filtered.map(formatMessage)
   };
+  if (reconnect) {
+    result.missed = reconnect.missed;
+    if (reconnect.name) result.name = reconnect.name;
+  }
+  if (unreadRemaining > 0) {
+    result.unreadRemaining = unreadRemaining;
+  }
+
+  // Shutdown/kick/pause from the user take priority over everything else
+  const control = conn ? pendingControl(conn) : null;
+  if (control) {
+    result.control = control;
+  }
+
+  // Surface questions still waiting on someone (answer with chatroom_answer)
+  const openQuestions = (roomQuestions.get(room) || []).filter(q => q.from !== me);
+  if (openQuestions.length > 0) {
+    result.openQuestions = openQuestions.map(q => ({
+      questionId: q.questionId,
+      from: q.from,
+      to: q.to,
+      text: q.text
+    }));
+  }
+
+  return result;
+}
+
+/**
+ * Block until an unread message matching the filters arrives, a control
+ * command comes in, or the timeout passes. Filters are alternatives: a message
+ * matches if it is from `from`, has `category`, or (with `toMe`) is addressed
+ * to or `@mentions` this agent. No filters means any message from someone else. The returned
+ * cursor can be passed as `since` to skip messages the filters passed over.
+ */
+async function wait(name, { timeout = DEFAULT_WAIT_SECONDS, since, from, category, toMe = false } = {}) {
+  if (!name) {
+    return { success: false, error: 'Name is required', messages: [] };
+  }
+
+  const connResult = await ensureConnected(name);
+  const conn = connections.get(name);
+  if (!conn || !conn.connected) {
+    return { success: false, error: connResult.error || `${name} is not connected`, messages: [] };
+  }
+
+  const room = conn.room;
+  const me = conn.name;
+  const unfiltered = !from && !category && !toMe;
+  const matches = m => isVisibleTo(me, m) && m.from !== me && (
+    unfiltered ||
+    (from && m.from === from) ||
+    (category && m.category === category) ||
+    (toMe && (m.to === me || mentionsAgent(m, me, conn.type)))
+  );
+  const start = since ?? readCursor(conn, room);
+  const arrived = () => getRoomMessages(room)
+    .filter(m => m.id > start && matches(m) && (since !== undefined || isUnread(conn, room, m)));
+
+  // Kick/shutdown/resume are already actionable; a standing pause is not
+  // (a paused agent is exactly who should be blocked here)
+  const actionable = () => conn.kicked || conn.shutdown || conn.resumed;
+
+  let timedOut = false;
+  if (arrived().length === 0 && !actionable()) {
+    const seconds = Math.min(Math.max(Number(timeout) || DEFAULT_WAIT_SECONDS, 1), MAX_WAIT_SECONDS);
+    timedOut = await new Promise((resolve) => {
+      const waiter = {
+        name: me,
+        room,
+        matches,
+        wake: (expired = false) => {
+          clearTimeout(waiter.timer);
+          waiters.delete(waiter);
+          resolve(expired);
+        }
+      };
+      waiter.timer = setTimeout(() => waiter.wake(true), seconds * 1000);
+      waiters.add(waiter);
+    });
+  }
+
+  const messages = arrived();
+  const newest = getRoomMessages(room).reduce((max, m) => Math.max(max, m.id), 0);
+  markRead(conn, room, messages);
+  const result = {
+    success: true,
+    connected: conn.connected,
+    room,
+    timedOut,
+    cursor: Math.max(start, newest),
+    messages: messages.map(formatMessage)
+  };
+
+  const reconnect = takeReconnect(conn);
+  if (reconnect) {
+    result.reconnected = true;
+    result.missed = reconnect.missed;
+    if (reconnect.name) result.name = reconnect.name;
+  }
+
+  const control = pendingControl(conn);
+  if (control) {
+    result.control = control;
+  }
+  return result;
+}
+
+/**
+ * Search the room's whole history on the server (not just the local buffer).
+ * `since`/`until` take an ISO date/time or a duration back from now ("30m",
+ * "2h", "1d"). Doesn't touch the read cursor.
+ */
+async function search(name, { query, from, category, since, until, limit } = {}) {
+  if (!query && !from && !category) {
+    return { success: false, error: 'Give at least one of query, from or category', messages: [] };
+  }
+
+  const range = {};
+  for (const [key, value] of Object.entries({ since, until })) {
+    if (value === undefined) continue;
+    const time = parseTime(value);
+    if (Number.isNaN(time)) {
+      return { success: false, error: `Invalid ${key} "${value}" (expected an ISO date/time or a duration like 30m, 2h, 1d)`, messages: [] };
+    }
+    range[key] = time;
+  }
+
+  const { response, error } = await agentRequest(name, { type: 'search_request', text: query, sender: from, category, ...range, limit });
+  if (error) return { success: false, error, messages: [] };
+  return {
+    success: true,
+    room: response.room,
+    total: response.total,
+    messages: response.messages.map(formatMessage)
+  };
+}
+
+/**
+ * A timestamp from an ISO date/time or a duration back from now; NaN if neither
+ */
+function parseTime(value) {
+  const duration = String(value).match(/^(\d+)\s*([smhd])$/);
+  if (duration) {
+    const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[duration[2]];
+    return Date.now() - Number(duration[1]) * unit;
+  }
+  return Date.parse(value);
 }
 
 /**
@@ -346,7 +1192,8 @@ async function who(name) {
   return {
     success: true,
     clients: conn.lastWhoResponse || [],
-    myName: name
+    room: conn.room,
+    myName: conn.name
   };
 }
 
@@ -361,12 +1208,13 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
   tools: [
     {
       name: 'chatroom_join',
-      description: 'Join the agent chatroom to communicate with other agents and the user',
+      description: 'Join the agent chatroom to communicate with other agents and the user. Names are unique: if yours is taken you get a suffixed one (returned as `name`) - use that in every other chatroom tool.',
       inputSchema: {
         type: 'object',
         properties: {
           name: { type: 'string', description: 'Your agent name' },
-          type: { type: 'string', description: 'Agent type (explorer, fixer, planner, etc.)' }
+          type: { type: 'string', description: 'Agent type (explorer, fixer, planner, etc.)' },
+          room: { type: 'string', description: `Optional room name (default "${ROOM}"). Only participants in the same room see each other's messages.` }
         },
         required: ['name']
       }
@@ -384,21 +1232,46 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
     },
     {
       name: 'chatroom_broadcast',
-      description: 'Send a message or finding to the chatroom (non-blocking)',
+      description: 'Send a message or finding to the chatroom (non-blocking). Address participants with @name, or every agent of a type with @type (e.g. @fixer). Returns the new message\'s id, which others can reply to with chatroom_reply.',
       inputSchema: {
         type: 'object',
         properties: {
           message: { type: 'string', description: 'Message to send' },
           name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
-          category: {
-            type: 'string',
-            enum: ['found', 'claiming', 'completed', 'blocked', 'leaving'],
-            description: 'Optional category for discoveries (use "leaving" before disconnecting)'
-          }
+          category: CATEGORY_SCHEMA,
+          attachments: ATTACHMENTS_SCHEMA
         },
         required: ['message', 'name']
       }
     },
+    {
+      name: 'chatroom_reply',
+      description: 'Reply to a message in its thread instead of the main flow, e.g. to follow up on a finding. Use the message\'s "id" from chatroom_check; replies to a reply join the same thread.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          replyTo: { type: 'number', description: 'Id of the message you are replying to' },
+          message: { type: 'string', description: 'Reply to send' },
+          category: CATEGORY_SCHEMA,
+          attachments: ATTACHMENTS_SCHEMA
+        },
+        required: ['name', 'replyTo', 'message']
+      }
+    },
+    {
+      name: 'chatroom_dm',
+      description: 'Send a private direct message to one participant (only you and the recipient see it)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          to: { type: 'string', description: 'Name of the participant to message' },
+          message: { type: 'string', description: 'Message to send' }
+        },
+        required: ['name', 'to', 'message']
+      }
+    },
     {
       name: 'chatroom_ask',
       description: 'Ask a question and wait for an answer from another agent or user',
@@ -407,20 +1280,186 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
         properties: {
           name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
           question: { type: 'string', description: 'Question to ask' },
+          to: { type: 'string', description: 'Optional: name of the participant the question is for' },
           timeout: { type: 'number', description: 'Timeout in ms (default 30000)' }
         },
         required: ['name', 'question']
       }
     },
+    {
+      name: 'chatroom_answer',
+      description: 'Answer an open question from another agent (use the questionId from chatroom_check)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          questionId: { type: 'string', description: 'Id of the question to answer' },
+          answer: { type: 'string', description: 'Your answer' }
+        },
+        required: ['name', 'questionId', 'answer']
+      }
+    },
     {
       name: 'chatroom_check',
-      description: 'Check recent messages in the chatroom (non-blocking). Call this periodically to see guidance from user or findings from other agents. Auto-reconnects if connection was lost.',
+      description: 'Check for messages you have not read yet (non-blocking); pass reread to see recent ones again. Call this periodically to see guidance from user or findings from other agents. Auto-reconnects if connection was lost; after a reconnect the result has reconnected: true and "missed", the number of messages from others that arrived while you were offline (they are included in your unread messages), plus "name" if your old connection still held your name and you were given another for now (keep calling the tools with your usual name). Pass "before" to page back through earlier history. If the result has a "control" field (shutdown, kick, pause, resume from the user), follow its instruction before anything else.',
       inputSchema: {
         type: 'object',
         properties: {
           name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
-          count: { type: 'number', description: 'Number of messages to return (default 10)' },
-          since: { type: 'number', description: 'Only messages after this timestamp' }
+          count: { type: 'number', description: 'Maximum messages to return (default: all unread; 10 with reread or before)' },
+          reread: { type: 'boolean', description: 'Return the most recent messages even if you have already read them' },
+          since: { type: 'number', description: 'Only messages after this message id' },
+          mentionsMe: { type: 'boolean', description: 'Only messages that @mention you by name or agent type (others stay unread)' },
+          thread: { type: 'number', description: 'Get the whole thread a message belongs to: its root and every reply (replies carry replyTo and threadId)' },
+          before: { type: 'number', description: 'Page back through history: messages before this message id (use the oldest id from the previous result)' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'chatroom_wait',
+      description: 'Block until a new message arrives instead of polling chatroom_check in a loop. Returns as soon as a matching message (or a control command from the user) arrives, or when the timeout passes. Filters are alternatives - a message matches if it satisfies any of them; no filters means any message from someone else. Returned messages count as read.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          timeout: { type: 'number', description: `Seconds to wait (default ${DEFAULT_WAIT_SECONDS}, max ${MAX_WAIT_SECONDS})` },
+          since: { type: 'number', description: 'Message id to wait after (default: your last read message). Pass the previous result\'s "cursor" to skip messages that did not match your filters' },
+          from: { type: 'string', description: 'Wake on messages from this participant, e.g. "user"' },
+          category: { type: 'string', description: 'Wake on broadcasts with this category, e.g. "blocked"' },
+          toMe: { type: 'boolean', description: 'Wake on DMs, questions and answers addressed to you, and messages that @mention you' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'chatroom_search',
+      description: 'Search the room\'s whole history, e.g. for earlier findings about a file ("who mentioned auth.ts?"). Filters combine: a message must match all of them. Returns the newest matches (oldest first) and how many matched in all. Does not mark anything as read.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          query: { type: 'string', description: 'Text to look for (case-insensitive), in message text and attachment paths and contents' },
+          from: { type: 'string', description: 'Only messages from this participant' },
+          category: { type: 'string', description: 'Only broadcasts with this category, e.g. "bug"' },
+          since: { type: 'string', description: 'Only messages after this time: an ISO date/time, or a duration back from now like "30m", "2h", "1d"' },
+          until: { type: 'string', description: 'Only messages before this time (same forms as since)' },
+          limit: { type: 'number', description: 'Maximum matches to return (default 20)' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'chatroom_claim',
+      description: 'Claim a resource (file path, module, task) before working on it. Fails with the current holder if another agent has it. Claims are released automatically if you disconnect.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          resource: { type: 'string', description: 'What to claim, e.g. "src/auth.ts"' },
+          note: { type: 'string', description: 'Optional: what you are doing with it' }
+        },
+        required: ['name', 'resource']
+      }
+    },
+    {
+      name: 'chatroom_release',
+      description: 'Release a resource you claimed with chatroom_claim',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          resource: { type: 'string', description: 'The resource to release' }
+        },
+        required: ['name', 'resource']
+      }
+    },
+    {
+      name: 'chatroom_claims',
+      description: 'List current claims in your room (who holds what)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'chatroom_task_create',
+      description: 'Add a task to the room\'s shared task board (e.g. when planning work for other agents)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          title: { type: 'string', description: 'Short task title' },
+          description: { type: 'string', description: 'Optional: details' },
+          assignee: { type: 'string', description: 'Optional: participant to assign it to' }
+        },
+        required: ['name', 'title']
+      }
+    },
+    {
+      name: 'chatroom_task_pick',
+      description: 'Take a task from the board: assigns it to you and moves it to in-progress. Without an id, takes your oldest assigned todo task, else the oldest unassigned one.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          id: { type: 'number', description: 'Optional: task id' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'chatroom_task_update',
+      description: 'Move a task to another state, reassign it, or attach a note (e.g. why it is blocked)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          id: { type: 'number', description: 'Task id' },
+          state: { type: 'string', enum: TASK_STATES, description: 'New state' },
+          assignee: { type: 'string', description: 'Optional: new assignee ("" to unassign)' },
+          note: { type: 'string', description: 'Optional: note, e.g. what the task is blocked on' }
+        },
+        required: ['name', 'id']
+      }
+    },
+    {
+      name: 'chatroom_tasks',
+      description: 'List tasks on the room\'s board',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          state: { type: 'string', enum: TASK_STATES, description: 'Optional: only tasks in this state' },
+          assignee: { type: 'string', description: 'Optional: only tasks assigned to this participant' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'chatroom_export',
+      description: 'Write a transcript of your room to a file: participants, join/leave events, discoveries grouped by category, questions with their answers, and the full timeline. Covers the current server session unless all is set.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' },
+          format: { type: 'string', enum: EXPORT_FORMATS, description: 'md (Markdown, default), json, or html (a self-contained page)' },
+          path: { type: 'string', description: 'Optional: file to write (default: chatroom-<room>-<date>.<format> in the current directory)' },
+          all: { type: 'boolean', description: 'Include the room\'s whole history, not just this server session' }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'chatroom_report',
+      description: 'Get the session report so far: who took part and for how long, what each claimed and completed, which questions went unanswered, and who left abnormally (heartbeat timeout, lost connection). Useful for wrapping up or picking up after someone who dropped out.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Your agent name (from chatroom_join)' }
         },
         required: ['name']
       }
@@ -462,25 +1501,67 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   switch (name) {
     case 'chatroom_join':
-      return { content: [{ type: 'text', text: JSON.stringify(await connect(args.name, args.type)) }] };
+      return { content: [{ type: 'text', text: JSON.stringify(await connect(args.name, args.type, false, args.room)) }] };
 
     case 'chatroom_leave':
       return { content: [{ type: 'text', text: JSON.stringify(disconnect(args.name)) }] };
 
     case 'chatroom_broadcast':
-      return { content: [{ type: 'text', text: JSON.stringify(broadcast(args.message, args.category, args.name)) }] };
+      return { content: [{ type: 'text', text: JSON.stringify(await broadcast(args.message, args.category, args.name, args.attachments)) }] };
+
+    case 'chatroom_reply':
+      return { content: [{ type: 'text', text: JSON.stringify(await reply(args.name, args.replyTo, args.message, args.category, args.attachments)) }] };
+
+    case 'chatroom_dm':
+      return { content: [{ type: 'text', text: JSON.stringify(await dm(args.name, args.to, args.message)) }] };
 
     case 'chatroom_ask':
-      return { content: [{ type: 'text', text: JSON.stringify(await ask(args.name, args.question, args.timeout)) }] };
+      return { content: [{ type: 'text', text: JSON.stringify(await ask(args.name, args.question, args.timeout, args.to)) }] };
+
+    case 'chatroom_answer':
+      return { content: [{ type: 'text', text: JSON.stringify(await answer(args.name, args.questionId, args.answer)) }] };
 
     case 'chatroom_check':
-      return { content: [{ type: 'text', text: JSON.stringify(await check(args.name, args.count, args.since)) }] };
+      return { content: [{ type: 'text', text: JSON.stringify(await check(args.name, args)) }] };
+
+    case 'chatroom_wait':
+      return { content: [{ type: 'text', text: JSON.stringify(await wait(args.name, args)) }] };
+
+    case 'chatroom_search':
+      return { content: [{ type: 'text', text: JSON.stringify(await search(args.name, args)) }] };
+
+    case 'chatroom_claim':
+      return { content: [{ type: 'text', text: JSON.stringify(await claim(args.name, args.resource, args.note)) }] };
+
+    case 'chatroom_release':
+      return { content: [{ type: 'text', text: JSON.stringify(await release(args.name, args.resource)) }] };
+
+    case 'chatroom_claims':
+      return { content: [{ type: 'text', text: JSON.stringify(await listClaims(args.name)) }] };
+
+    case 'chatroom_task_create':
+      return { content: [{ type: 'text', text: JSON.stringify(await createTask(args.name, args.title, args.description, args.assignee)) }] };
+
+    case 'chatroom_task_pick':
+      return { content: [{ type: 'text', text: JSON.stringify(await pickTask(args.name, args.id)) }] };
+
+    case 'chatroom_task_update':
+      return { content: [{ type: 'text', text: JSON.stringify(await updateTask(args.name, args.id, args.state, args.assignee, args.note)) }] };
+
+    case 'chatroom_tasks':
+      return { content: [{ type: 'text', text: JSON.stringify(await listTasks(args.name, args.state, args.assignee)) }] };
+
+    case 'chatroom_export':
+      return { content: [{ type: 'text', text: JSON.stringify(await exportRoom(args.name, args.format, args.path, args.all)) }] };
+
+    case 'chatroom_report':
+      return { content: [{ type: 'text', text: JSON.stringify(await sessionReport(args.name)) }] };
 
     case 'chatroom_who':
       return { content: [{ type: 'text', text: JSON.stringify(await who(args.name)) }] };
 
     case 'chatroom_status':
-      return { content: [{ type: 'text', text: JSON.stringify(updateStatus(args.name, args.status, args.task)) }] };
+      return { content: [{ type: 'text', text: JSON.stringify(await updateStatus(args.name, args.status, args.task)) }] };
 
     default:
       return { content: [{ type: 'text', text: JSON.stringify({ error: 'Unknown tool' }) }] };
@@ -489,14 +1570,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 // Graceful shutdown - notify chatroom before exit for all connections
 function gracefulShutdown(signal) {
-  for (const [name, conn] of connections.entries()) {
+  for (const conn of connections.values()) {
     if (conn.ws && conn.ws.readyState === 1) {
       try {
         conn.ws.send(JSON.stringify({
           type: 'discovery',
           category: 'leaving',
-          text: `${name} is exiting (${signal})`,
-          from: name
+          text: `${conn.name} is exiting (${signal})`,
+          from: conn.name
         }));
         conn.ws.send(JSON.stringify({ type: 'leaving' }));
         conn.ws.close(1000, 'process exiting');
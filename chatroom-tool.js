@@ -2,59 +2,87 @@
  * Agent Chatroom - Native Tool for Agents
  *
  * Provides chatroom capabilities that agents can use:
- *   - join(name, type) - Connect to chatroom
+ *   - join(name, type, room?) - Connect to chatroom
  *   - leave() - Disconnect
  *   - broadcast(message, category?) - Send message/finding
- *   - ask(question, timeout?) - Ask and wait for answer
+ *   - dm(to, message) - Send a private message to one participant
+ *   - ask(question, timeout?, to?) - Ask and wait for answer
+ *   - answer(questionId, text) - Answer another participant's question
  *   - check(count?) - Get recent messages (non-blocking)
+ *   - getNew(sinceId?) - Get messages after a message id
  */
 
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const { authHeaders, connectionError, clientTokenFile } = require('./auth');
+const { loadConfig } = require('./config');
 
-const SERVER_URL = process.env.CHATROOM_URL || 'ws://localhost:3030';
+const STATE_TYPES = ['rooms_update', 'questions_update', 'claims_update', 'tasks_update'];
 
 class ChatroomTool {
-  constructor() {
+  /**
+   * `config` defaults to the settings in .chatroom.json / the environment
+   * (config.js); loading throws if one of them is invalid
+   */
+  constructor(config = loadConfig().config) {
+    this.config = config;
     this.ws = null;
     this.name = null;
     this.type = null;
+    this.room = null;
     this.connected = false;
     this.messages = [];
     this.pendingQuestions = new Map();
-    this.maxMessages = 100;
+    this.maxMessages = config.messageBuffer;
   }
 
   /**
-   * Join the chatroom
+   * Join the chatroom. Resolves with the name the server assigned, which has
+   * a suffix (e.g. "fixer-2") if `name` was already taken.
    */
-  async join(name, type = 'agent') {
+  async join(name, type = 'agent', room = this.config.room) {
     if (this.connected) return;
 
     this.name = name;
     this.type = type;
+    this.room = room;
 
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(SERVER_URL);
+      this.ws = new WebSocket(this.config.url, { headers: authHeaders(clientTokenFile(this.config)) });
 
       const timeout = setTimeout(() => {
         if (!this.connected) reject(new Error('Connection timeout'));
       }, 5000);
 
       this.ws.on('open', () => {
-        clearTimeout(timeout);
-        this.connected = true;
         this.ws.send(JSON.stringify({
           type: 'register',
           name: this.name,
-          agentType: this.type
+          agentType: this.type,
+          room: this.room
         }));
-        resolve();
       });
 
       this.ws.on('message', (data) => {
         try {
-          this._handleMessage(JSON.parse(data.toString()));
+          const msg = JSON.parse(data.toString());
+
+          // The first reply to register is either our identity or why we were refused
+          if (!this.connected && msg.type === 'registered') {
+            clearTimeout(timeout);
+            this.connected = true;
+            this.name = msg.name;
+            resolve(this.name);
+            return;
+          }
+          if (!this.connected && msg.type === 'error') {
+            clearTimeout(timeout);
+            this.ws.close();
+            reject(new Error(msg.error));
+            return;
+          }
+
+          this._handleMessage(msg);
         } catch (e) {}
       });
 
@@ -64,7 +92,7 @@ class ChatroomTool {
 
       this.ws.on('error', (err) => {
         clearTimeout(timeout);
-        reject(err);
+        reject(new Error(connectionError(err, clientTokenFile(this.config))));
       });
     });
   }
@@ -74,33 +102,56 @@ class ChatroomTool {
    */
   leave() {
     if (this.ws) {
-      this.ws.close();
+      this.ws.close(1000, 'leaving');
       this.ws = null;
       this.connected = false;
     }
   }
 
   /**
-   * Broadcast a message (non-blocking)
+   * Broadcast a message (non-blocking), optionally with structured
+   * attachments (see attachments.js)
    */
-  broadcast(message, category = null) {
+  broadcast(message, category = null, attachments = undefined) {
     if (!this.connected) throw new Error('Not connected');
 
     const msg = category
-      ? { type: 'discovery', category, text: message }
-      : { type: 'chat', text: message };
+      ? { type: 'discovery', category, text: message, attachments }
+      : { type: 'chat', text: message, attachments };
 
     this.ws.send(JSON.stringify(msg));
   }
 
+  /**
+   * Reply to message `replyTo` in its thread (non-blocking)
+   */
+  reply(replyTo, message, category = null, attachments = undefined) {
+    if (!this.connected) throw new Error('Not connected');
+
+    const msg = category
+      ? { type: 'discovery', category, text: message, attachments, replyTo }
+      : { type: 'chat', text: message, attachments, replyTo };
+
+    this.ws.send(JSON.stringify(msg));
+  }
+
+  /**
+   * Send a direct message to one participant (non-blocking)
+   */
+  dm(to, message) {
+    if (!this.connected) throw new Error('Not connected');
+    if (!to) throw new Error('Recipient is required');
+
+    this.ws.send(JSON.stringify({ type: 'dm', to, text: message }));
+  }
+
   /**
    * Ask a question and wait for answer (blocking)
    */
-  ask(question, timeoutMs = 30000) {
+  ask(question, timeoutMs = 30000, to = null) {
     if (!this.connected) throw new Error('Not connected');
 
     const questionId = crypto.randomBytes(4).toString('hex');
-    const taggedQuestion = `[Q:${questionId}] ${question}`;
 
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
@@ -109,10 +160,25 @@ class ChatroomTool {
       }, timeoutMs);
 
       this.pendingQuestions.set(questionId, { resolve, reject, timeout });
-      this.ws.send(JSON.stringify({ type: 'chat', text: taggedQuestion }));
+      this.ws.send(JSON.stringify({
+        type: 'question',
+        id: questionId,
+        text: question,
+        to,
+        timeout: timeoutMs
+      }));
     });
   }
 
+  /**
+   * Answer an open question (non-blocking)
+   */
+  answer(questionId, text) {
+    if (!this.connected) throw new Error('Not connected');
+
+    this.ws.send(JSON.stringify({ type: 'answer', questionId, text }));
+  }
+
   /**
    * Check recent messages (non-blocking)
    */
@@ -121,33 +187,79 @@ class ChatroomTool {
   }
 
   /**
-   * Get new messages since last check
+   * Get messages after a message id (e.g. the last id you have seen)
    */
-  getNew(since = 0) {
-    return this.messages.filter(m => m.timestamp > since);
+  getNew(sinceId = 0) {
+    return this.messages.filter(m => m.id > sinceId);
   }
 
   /**
-   * Handle incoming message
+   * Messages received in the thread that message `id` belongs to, root first
+   */
+  thread(id) {
+    const found = this.messages.find(m => m.id === id);
+    if (!found) return [];
+    const root = found.threadId || found.id;
+    return this.messages.filter(m => m.id === root || m.threadId === root);
+  }
+
+  /**
+   * Add a message, kept in id order with duplicates dropped. Messages
+   * without an id (errors, control commands) go at the end.
    * @private
    */
-  _handleMessage(msg) {
-    this.messages.push(msg);
+  _store(msg) {
+    let i = this.messages.length;
+    if (msg.id !== undefined) {
+      while (i > 0 && this.messages[i - 1].id > msg.id) i--;
+      if (i > 0 && this.messages[i - 1].id === msg.id) return;
+    }
+    this.messages.splice(i, 0, msg);
     if (this.messages.length > this.maxMessages) {
       this.messages.shift();
     }
+  }
+
+  /**
+   * Id of the newest message received (0 if none)
+   * @private
+   */
+  _newestId() {
+    return this.messages.reduce((max, m) => Math.max(max, m.id || 0), 0);
+  }
+
+  /**
+   * Handle incoming message
+   * @private
+   */
+  _handleMessage(msg) {
+    // Room list, open-question, claim and task snapshots are state, not conversation
+    if (STATE_TYPES.includes(msg.type)) return;
+
+    // Backlog replayed by the server after register. After a rejoin, ask
+    // for anything between what we had and where the backlog starts.
+    if (msg.type === 'history') {
+      const known = this._newestId();
+      if (known > 0 && msg.messages.length > 0 && msg.messages[0].id > known + 1) {
+        this.ws.send(JSON.stringify({ type: 'history_request', sinceId: known, limit: this.maxMessages }));
+      }
+      msg.messages.forEach(m => this._store(m));
+      return;
+    }
+    if (msg.type === 'history_response') {
+      msg.messages.forEach(m => this._store(m));
+      return;
+    }
+
+    this._store(msg);
 
     // Check for answer to pending question
-    if (msg.type === 'chat' && msg.text && msg.from !== this.name) {
-      const match = msg.text.match(/\[A:([a-f0-9]+)\]\s*(.*)/);
-      if (match) {
-        const [, qId, answer] = match;
-        const pending = this.pendingQuestions.get(qId);
-        if (pending) {
-          clearTimeout(pending.timeout);
-          this.pendingQuestions.delete(qId);
-          pending.resolve(answer);
-        }
+    if (msg.type === 'answer') {
+      const pending = this.pendingQuestions.get(msg.questionId);
+      if (pending) {
+        clearTimeout(pending.timeout);
+        this.pendingQuestions.delete(msg.questionId);
+        pending.resolve(msg.text);
       }
     }
   }
@@ -157,11 +269,15 @@ class ChatroomTool {
 const instance = new ChatroomTool();
 
 module.exports = {
-  join: (name, type) => instance.join(name, type),
+  join: (name, type, room) => instance.join(name, type, room),
   leave: () => instance.leave(),
-  broadcast: (msg, cat) => instance.broadcast(msg, cat),
-  ask: (q, t) => instance.ask(q, t),
+  broadcast: (msg, cat, att) => instance.broadcast(msg, cat, att),
+  reply: (id, msg, cat, att) => instance.reply(id, msg, cat, att),
+  dm: (to, msg) => instance.dm(to, msg),
+  ask: (q, t, to) => instance.ask(q, t, to),
+  answer: (id, text) => instance.answer(id, text),
   check: (c) => instance.check(c),
   getNew: (s) => instance.getNew(s),
+  thread: (id) => instance.thread(id),
   ChatroomTool
 };
@@ -0,0 +1,82 @@
+/**
+ * Agent Chatroom - Claim Registry
+ * Tracks which participant holds which resource (file, module, task) per room
+ */
+
+/**
+ * Create an in-memory claim registry. Node runs message handlers one at a
+ * time, so each claim/release call is atomic.
+ */
+function createClaims() {
+  const claims = new Map(); // room -> Map(resource -> { resource, holder, note, claimedAt })
+
+  function roomClaims(room) {
+    if (!claims.has(room)) {
+      claims.set(room, new Map());
+    }
+    return claims.get(room);
+  }
+
+  /**
+   * Claim a resource. Fails with the current holder if someone else has it.
+   */
+  function claim(room, resource, holder, note = null) {
+    const held = roomClaims(room);
+    const existing = held.get(resource);
+
+    if (existing && existing.holder !== holder) {
+      return { success: false, resource, holder: existing.holder, claimedAt: existing.claimedAt, note: existing.note };
+    }
+    if (existing) {
+      return { success: true, resource, holder, claimedAt: existing.claimedAt, note: existing.note, alreadyHeld: true };
+    }
+
+    const entry = { resource, holder, note, claimedAt: Date.now() };
+    held.set(resource, entry);
+    return { success: true, ...entry };
+  }
+
+  /**
+   * Release a resource held by `holder`
+   */
+  function release(room, resource, holder) {
+    const held = roomClaims(room);
+    const existing = held.get(resource);
+
+    if (!existing) {
+      return { success: false, resource, error: `${resource} is not claimed` };
+    }
+    if (existing.holder !== holder) {
+      return { success: false, resource, holder: existing.holder, error: `${resource} is held by ${existing.holder}` };
+    }
+
+    held.delete(resource);
+    return { success: true, resource };
+  }
+
+  /**
+   * Release everything `holder` has in a room. Returns the released resources.
+   */
+  function releaseAll(room, holder) {
+    const held = roomClaims(room);
+    const released = [];
+    for (const [resource, entry] of held.entries()) {
+      if (entry.holder === holder) {
+        held.delete(resource);
+        released.push(resource);
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Current claims in a room, oldest first
+   */
+  function list(room) {
+    return [...roomClaims(room).values()].sort((a, b) => a.claimedAt - b.claimedAt);
+  }
+
+  return { claim, release, releaseAll, list };
+}
+
+module.exports = { createClaims };
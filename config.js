@@ -0,0 +1,160 @@
+/**
+ * Agent Chatroom - Configuration
+ * One place for every setting the server, MCP server, Terminal UI, start.js
+ * and the hook share. Each setting comes from (highest first) its environment
+ * variable, the project's .chatroom.json, the user's ~/.chatroom.json, or its
+ * default; invalid values are reported with the file and key they came from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { HISTORY_DIR, DEFAULT_ROOM, ROOM_NAME_PATTERN } = require('./history');
+
+const PROJECT_CONFIG = '.chatroom.json';
+const USER_CONFIG = path.join(os.homedir(), PROJECT_CONFIG);
+
+// Each setting's environment variable (if any), default and accepted values
+const SETTINGS = {
+  port: { env: 'CHATROOM_PORT', type: 'integer', min: 1, max: 65535, default: 3030 },
+  url: { env: 'CHATROOM_URL', type: 'url', default: null }, // ws://localhost:<port> unless set
+  user: { env: 'CHATROOM_USER', type: 'name', default: 'user' },
+  room: { env: 'CHATROOM_ROOM', type: 'room', default: DEFAULT_ROOM },
+  historyDir: { env: 'CHATROOM_HISTORY_DIR', type: 'path', default: HISTORY_DIR },
+  tokenFile: { env: 'CHATROOM_TOKEN_FILE', type: 'path', default: null }, // ~/.agent-chatroom/token-<port> unless set
+  backlog: { env: 'CHATROOM_BACKLOG', type: 'integer', min: 0, max: 500, default: 50 },
+  allowAgentDm: { env: 'CHATROOM_ALLOW_AGENT_DM', type: 'boolean', default: true },
+  heartbeatInterval: { type: 'integer', min: 1000, max: 60000, default: 5000 }, // two missed pings drop a client
+  participantUpdateInterval: { type: 'integer', min: 1000, max: 60000, default: 5000 },
+  maxReconnectAttempts: { type: 'integer', min: 0, max: 100, default: 3 },
+  messageBuffer: { type: 'integer', min: 10, max: 10000, default: 100 },
+  requestTimeout: { type: 'integer', min: 500, max: 60000, default: 5000 },
+  categories: { type: 'object', default: {} } // checked entry by entry in categories.js
+};
+
+const MAX_USER_LENGTH = 64;
+
+/**
+ * Check one value against its setting. Returns { value } or { error } where
+ * error says what was expected. Strings from the environment are converted.
+ */
+function checkSetting(setting, value, fromEnv) {
+  switch (setting.type) {
+    case 'integer': {
+      const n = fromEnv && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isInteger(n) || n < setting.min || n > setting.max) {
+        return { error: `expected a whole number from ${setting.min} to ${setting.max}` };
+      }
+      return { value: n };
+    }
+    case 'boolean': {
+      const b = fromEnv && ['true', 'false'].includes(value) ? value === 'true' : value;
+      if (typeof b !== 'boolean') return { error: 'expected true or false' };
+      return { value: b };
+    }
+    case 'url':
+      if (typeof value !== 'string' || !/^wss?:\/\/[^\s/]+/.test(value)) {
+        return { error: 'expected a WebSocket URL like ws://localhost:3030' };
+      }
+      return { value: value.replace(/\/+$/, '') };
+    case 'name':
+      if (typeof value !== 'string' || !value.trim() || value.length > MAX_USER_LENGTH) {
+        return { error: `expected a name of 1-${MAX_USER_LENGTH} characters` };
+      }
+      return { value: value.trim() };
+    case 'room':
+      if (typeof value !== 'string' || !ROOM_NAME_PATTERN.test(value)) {
+        return { error: 'expected a room name of 1-64 letters, digits, ".", "_" or "-"' };
+      }
+      return { value };
+    case 'path':
+      if (typeof value !== 'string' || !value) return { error: 'expected a path' };
+      return { value: value.startsWith('~') ? path.join(os.homedir(), value.slice(1)) : value };
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'expected an object' };
+      return { value };
+  }
+}
+
+/**
+ * Read a config file. Returns null if it doesn't exist; throws if it can't be parsed.
+ */
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${file} must contain a JSON object`);
+  }
+  return parsed;
+}
+
+/**
+ * Load the settings for a project directory.
+ * Returns { config, files, warnings }: `files` are the config files that were
+ * read and `warnings` lists unknown keys. Throws an Error listing every
+ * invalid value (and where it came from) so entry points can print it and exit.
+ */
+function loadConfig(dir = process.cwd(), env = process.env) {
+  const projectFile = path.resolve(dir, PROJECT_CONFIG);
+  const sources = [];
+  for (const file of new Set([USER_CONFIG, projectFile])) {
+    const values = readConfigFile(file);
+    if (values) sources.push({ file, values });
+  }
+
+  const config = {};
+  const errors = [];
+  const warnings = [];
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    config[key] = setting.default;
+  }
+
+  for (const { file, values } of sources) {
+    for (const [key, value] of Object.entries(values)) {
+      const setting = SETTINGS[key];
+      if (!setting) {
+        warnings.push(`Unknown setting "${key}" in ${file} (known: ${Object.keys(SETTINGS).join(', ')})`);
+        continue;
+      }
+      const result = checkSetting(setting, value, false);
+      if (result.error) {
+        errors.push(`${key} in ${file}: ${result.error}, got ${JSON.stringify(value)}`);
+      } else if (key === 'categories') {
+        // Project categories add to (or restyle) the user's rather than replacing them
+        config.categories = { ...config.categories, ...result.value };
+      } else {
+        config[key] = result.value;
+      }
+    }
+  }
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (!setting.env || env[setting.env] === undefined || env[setting.env] === '') continue;
+    const result = checkSetting(setting, env[setting.env], true);
+    if (result.error) {
+      errors.push(`${setting.env}: ${result.error}, got ${JSON.stringify(env[setting.env])}`);
+    } else {
+      config[key] = result.value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid chatroom configuration:\n  ${errors.join('\n  ')}`);
+  }
+
+  config.url = config.url || `ws://localhost:${config.port}`;
+  return { config, files: sources.map(s => s.file), warnings };
+}
+
+module.exports = { loadConfig, SETTINGS, PROJECT_CONFIG, USER_CONFIG };
@@ -0,0 +1,192 @@
+/**
+ * Agent Chatroom - Message History
+ * Append-only JSONL log of relayed messages, one file per room
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const HISTORY_DIR = path.join(os.homedir(), '.agent-chatroom', 'history');
+const DEFAULT_ROOM = 'default';
+const ROOM_NAME_PATTERN = /^[a-zA-Z0-9_.-]{1,64}$/;
+
+// Message types worth keeping - participant updates and query responses are transient
+const PERSISTED_TYPES = ['chat', 'discovery', 'system', 'dm', 'question', 'answer'];
+
+/**
+ * Map a room name to a safe file name
+ */
+function roomFile(dir, room) {
+  const safe = String(room || DEFAULT_ROOM).replace(/[^a-zA-Z0-9_.-]/g, '_');
+  return path.join(dir, `${safe}.jsonl`);
+}
+
+/**
+ * Create a history store backed by a directory of JSONL files.
+ * Each room's log is read from disk once and then kept in memory.
+ */
+function createHistory(dir = HISTORY_DIR) {
+  const rooms = new Map(); // room -> messages[] (oldest first)
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (err) {
+    console.error(`History disabled: cannot create ${dir} (${err.message})`);
+  }
+
+  /**
+   * Load a room's log from disk (skipping corrupt lines). Lines written
+   * before messages had ids are numbered in file order, which is stable
+   * because the log is only ever appended to.
+   */
+  function load(room) {
+    if (rooms.has(room)) return rooms.get(room);
+
+    const messages = [];
+    try {
+      const content = fs.readFileSync(roomFile(dir, room), 'utf-8');
+      let lastId = 0;
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const msg = JSON.parse(line);
+          if (typeof msg.id !== 'number') msg.id = lastId + 1;
+          lastId = msg.id;
+          messages.push(msg);
+        } catch (e) {}
+      }
+    } catch (err) {
+      // A room nobody has written to isn't cached, so reading it (e.g. a GET
+      // for a mistyped name) doesn't make it show up in listRooms()
+      if (err.code === 'ENOENT') return messages;
+      console.error(`Could not read history for ${room}:`, err.message);
+    }
+
+    rooms.set(room, messages);
+    return messages;
+  }
+
+  /**
+   * Append a message to a room's log (ignores transient message types)
+   */
+  function append(room, msg) {
+    if (!PERSISTED_TYPES.includes(msg.type)) return;
+
+    const messages = load(room);
+    messages.push(msg);
+    rooms.set(room, messages);
+    try {
+      fs.appendFileSync(roomFile(dir, room), JSON.stringify(msg) + '\n');
+    } catch (err) {
+      console.error(`Could not write history for ${room}:`, err.message);
+    }
+  }
+
+  /**
+   * A room's message with id `id`, if it is in the log
+   */
+  function get(room, id) {
+    const all = load(room);
+    let lo = 0;
+    let hi = all.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (all[mid].id === id) return all[mid];
+      if (all[mid].id < id) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    return null;
+  }
+
+  /**
+   * A thread: its root message and every reply to it, oldest first
+   */
+  function thread(room, rootId, filter = null) {
+    return load(room).filter(m => (m.id === rootId || m.threadId === rootId) && (!filter || filter(m)));
+  }
+
+  /**
+   * Id of the newest message in a room's log (0 if it is empty)
+   */
+  function lastId(room) {
+    const all = load(room);
+    return all.length > 0 ? all[all.length - 1].id : 0;
+  }
+
+  /**
+   * Get up to `limit` messages older than `beforeId` (or timestamp `before`),
+   * or the newest ones if no cursor is given, oldest first, plus whether even
+   * older ones exist. With `sinceId`, gets the oldest `limit` messages after
+   * that id instead, plus whether even newer ones exist.
+   * `filter` hides messages the requester may not see (e.g. other people's DMs).
+   */
+  function page(room, { before = 0, beforeId = 0, sinceId = null, limit = 50, filter = null } = {}) {
+    const all = load(room);
+    const visible = m => !filter || filter(m);
+
+    if (typeof sinceId === 'number') {
+      const after = all.filter(m => m.id > sinceId && visible(m));
+      return { messages: after.slice(0, limit), hasMore: after.length > limit };
+    }
+
+    let i = all.length - 1;
+    if (beforeId > 0) {
+      while (i >= 0 && all[i].id >= beforeId) i--;
+    } else if (before > 0) {
+      while (i >= 0 && all[i].timestamp >= before) i--;
+    }
+
+    const messages = [];
+    for (; i >= 0 && messages.length < limit; i--) {
+      if (visible(all[i])) messages.push(all[i]);
+    }
+
+    const hasMore = all.slice(0, i + 1).some(visible);
+    return { messages: messages.reverse(), hasMore };
+  }
+
+  /**
+   * Find messages in a room: `text` matches message text and attachment
+   * paths/contents case-insensitively, `from` and `category` must match
+   * exactly, and `since`/`until` bound the timestamp. Returns the newest
+   * `limit` matches, oldest first, plus how many matched in all.
+   */
+  function search(room, { text = null, from = null, category = null, since = 0, until = Infinity, limit = 20, filter = null } = {}) {
+    const needle = text ? text.toLowerCase() : null;
+    const matches = load(room).filter(m =>
+      (!from || m.from === from) &&
+      (!category || m.category === category) &&
+      m.timestamp >= since && m.timestamp <= until &&
+      (!needle || searchableText(m).includes(needle)) &&
+      (!filter || filter(m))
+    );
+    return { messages: matches.slice(-limit), total: matches.length };
+  }
+
+  /**
+   * Names of all rooms that have a log (on disk or in memory)
+   */
+  function listRooms() {
+    const names = new Set(rooms.keys());
+    try {
+      for (const file of fs.readdirSync(dir)) {
+        if (file.endsWith('.jsonl')) names.add(file.slice(0, -'.jsonl'.length));
+      }
+    } catch (e) {}
+    return [...names];
+  }
+
+  return { append, page, get, thread, lastId, load, listRooms, search };
+}
+
+/**
+ * Everything a text search looks at in a message, lowercased
+ */
+function searchableText(m) {
+  const parts = [m.text];
+  for (const a of m.attachments || []) parts.push(a.path, a.content);
+  return parts.filter(Boolean).join('\n').toLowerCase();
+}
+
+module.exports = { createHistory, PERSISTED_TYPES, DEFAULT_ROOM, ROOM_NAME_PATTERN, HISTORY_DIR };
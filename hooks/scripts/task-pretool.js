@@ -3,9 +3,10 @@
  * Agent Chatroom - PreToolUse Hook for Task
  *
  * This hook:
- * 1. Checks if chatroom server is running on port 3030
+ * 1. Checks if chatroom server is running on the configured port (3030 by default)
  * 2. Spawns UI terminal (which starts server) if not running
- * 3. Injects chatroom instructions into the subagent prompt
+ * 3. Waits for the server's session token so agents' MCP clients can authenticate
+ * 4. Injects chatroom instructions into the subagent prompt
  */
 
 const { spawn, execSync } = require('child_process');
@@ -16,8 +17,9 @@ const os = require('os');
 
 const SCRIPTS_DIR = __dirname;
 const PLUGIN_ROOT = path.resolve(SCRIPTS_DIR, '..', '..');
-const PORT = process.env.CHATROOM_PORT || 3030;
 const LOCK_FILE = path.join(os.tmpdir(), 'chatroom-spawn.lock');
+const { readToken, tokenFile } = require(path.join(PLUGIN_ROOT, 'auth.js'));
+const { loadConfig } = require(path.join(PLUGIN_ROOT, 'config.js'));
 
 // Read hook input from stdin
 let input = '';
@@ -30,8 +32,13 @@ async function main(inputJson) {
     const hookInput = JSON.parse(inputJson);
     const originalPrompt = hookInput.tool_input?.prompt || '';
 
+    // Settings come from the project the Task runs in
+    const projectDir = hookInput.cwd || process.cwd();
+    const { config } = loadConfig(projectDir);
+
     // Start server/UI if not running
-    await ensureServerRunning();
+    await ensureServerRunning(config.port, projectDir);
+    await waitForToken(tokenFile(config.port, config.tokenFile));
 
     // Chatroom instructions to inject
     const chatroomInstructions = `
@@ -45,17 +52,23 @@ You have access to a real-time chatroom for coordinating with other agents and r
 
 **During your work:**
 - Use \`chatroom_broadcast\` with your name (same as join) to share findings. Example: \`chatroom_broadcast(message: "Found X", name: "your-name")\`
+- Before editing a file or module other agents might touch, call \`chatroom_claim\` with it; if it is already claimed, coordinate with the holder instead. Call \`chatroom_release\` when done
+- If the room has a task board (\`chatroom_tasks\`), take work with \`chatroom_task_pick\` and keep its state current with \`chatroom_task_update\` (use \`blocked\` with a note when stuck)
 - Use \`chatroom_check\` periodically to see messages from other agents or guidance from the user
+- Before digging into a file or topic, \`chatroom_search\` for what others already found about it (e.g. \`query: "auth.ts"\`)
+- To follow up on a specific message, use \`chatroom_reply\` with its id so the discussion stays in one thread
 - If you need input, use \`chatroom_ask\` to ask a question and wait for an answer
+- If \`chatroom_check\` shows \`openQuestions\` you can help with, reply using \`chatroom_answer\` with the questionId
+- If \`chatroom_check\` returns a \`control\` field, follow its \`instruction\` immediately (\`pause\`: stop and keep checking until \`resume\`)
 
 **IMPORTANT - Staying alive:**
 After completing your main task, DO NOT exit immediately. Instead:
 1. Broadcast your completion status
-2. Enter a monitoring loop: call \`chatroom_check\` every few seconds
+2. Enter a monitoring loop: call \`chatroom_wait\` (it blocks until something arrives)
 3. Watch for messages from the user - they may give you new instructions
 4. Only use \`chatroom_leave\` and exit when:
    - The user explicitly tells you to stop/exit
-   - You receive a "shutdown" message
+   - \`chatroom_check\` returns \`control.action\` "shutdown" or "kick"
    - The chatroom connection fails (server closed)
 
 The user controls the chatroom terminal. When they close it, you'll detect the connection failure and can exit gracefully.`;
@@ -72,7 +85,8 @@ The user controls the chatroom terminal. When they close it, you'll detect the c
 
     console.log(JSON.stringify(output));
   } catch (e) {
-    // On error, allow the task to proceed without modification
+    // On error (e.g. an invalid .chatroom.json), allow the task to proceed without modification
+    console.error(e.message);
     console.log(JSON.stringify({
       hookSpecificOutput: {
         permissionDecision: 'allow'
@@ -81,19 +95,31 @@ The user controls the chatroom terminal. When they close it, you'll detect the c
   }
 }
 
-function isServerRunning() {
+function isServerRunning(port) {
   return new Promise(resolve => {
     const socket = new net.Socket();
     socket.setTimeout(1000);
     socket.on('connect', () => { socket.destroy(); resolve(true); });
     socket.on('timeout', () => { socket.destroy(); resolve(false); });
     socket.on('error', () => resolve(false));
-    socket.connect(PORT, 'localhost');
+    socket.connect(port, 'localhost');
   });
 }
 
-async function ensureServerRunning() {
-  if (await isServerRunning()) {
+/**
+ * The server writes its token once it is listening, so its port can accept
+ * connections (all isServerRunning checks) a moment before the token file
+ * exists. Wait for the file (max 2 seconds).
+ */
+async function waitForToken(file) {
+  for (let i = 0; i < 20; i++) {
+    if (readToken(file)) return;
+    await new Promise(r => setTimeout(r, 100));
+  }
+}
+
+async function ensureServerRunning(port, projectDir) {
+  if (await isServerRunning(port)) {
     return;
   }
 
@@ -104,7 +130,7 @@ async function ensureServerRunning() {
   } catch (e) {
     // Lock exists - another process is spawning, just wait for server
     for (let i = 0; i < 50; i++) {
-      if (await isServerRunning()) return;
+      if (await isServerRunning(port)) return;
       await new Promise(r => setTimeout(r, 100));
     }
     return;
@@ -115,6 +141,7 @@ async function ensureServerRunning() {
     const spawnTerminalPath = path.join(PLUGIN_ROOT, 'spawn-terminal.js');
     const uiPath = path.join(PLUGIN_ROOT, 'ui.js');
     const proc = spawn('node', [spawnTerminalPath, uiPath], {
+      cwd: projectDir,
       detached: true,
       stdio: 'ignore'
     });
@@ -123,6 +150,7 @@ async function ensureServerRunning() {
     // If UI spawn fails, fall back to starting server directly
     const serverPath = path.join(PLUGIN_ROOT, 'server.js');
     const server = spawn('node', [serverPath], {
+      cwd: projectDir,
       detached: true,
       stdio: 'ignore'
     });
@@ -131,7 +159,7 @@ async function ensureServerRunning() {
 
   // Wait for server to be ready (max 5 seconds)
   for (let i = 0; i < 50; i++) {
-    if (await isServerRunning()) break;
+    if (await isServerRunning(port)) break;
     await new Promise(r => setTimeout(r, 100));
   }
 
@@ -0,0 +1,253 @@
+/**
+ * Agent Chatroom - HTTP API
+ * REST endpoints and a Server-Sent Events stream for scripts, CI jobs and
+ * editors that don't speak the WebSocket protocol, plus the browser UI in
+ * web/. server.js serves them on the WebSocket port, backed by the same
+ * rooms, history and participants.
+ *
+ *   GET  /                        - the web UI (its files need no token; it connects with one)
+ *   GET  /health                  - liveness (no token needed)
+ *   GET  /config                  - { user, room, categories } for the web UI
+ *   GET  /participants?room=      - who is connected (every room if omitted)
+ *   GET  /messages?room=&since=&limit= - history after message id `since`, or the latest
+ *   POST /messages                - { from, text, room?, category?, replyTo?, attachments? }
+ *   GET  /events?room=&since=     - live stream of everything broadcast to the room
+ *   GET  /report                  - the session report so far (see report.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkToken } = require('./auth');
+const { DEFAULT_ROOM, ROOM_NAME_PATTERN } = require('./history');
+
+const WEB_DIR = path.join(__dirname, 'web');
+const WEB_FILES = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/app.js': { file: 'app.js', type: 'text/javascript; charset=utf-8' },
+  '/style.css': { file: 'style.css', type: 'text/css; charset=utf-8' }
+};
+
+const MAX_BODY_SIZE = 512 * 1024; // room for a message with a few attachments
+const SSE_RETRY = 2000; // how soon EventSource clients reconnect
+
+/**
+ * Create the HTTP side of a chatroom server. `chatroom` supplies the shared state:
+ *   token                      - the session token (also accepted as ?token=)
+ *   participants(room)         - participants in `room`, or everywhere if null
+ *   messages(room, options)    - history.page() minus what HTTP clients may not see;
+ *                                without a limit, a page after `sinceId` is as long as allowed
+ *   post(room, body)           - relay a message; returns { message } or { error, status? }
+ *   health()                   - extra fields for GET /health
+ *   clientConfig()             - the settings the web UI starts from
+ *   report()                   - the session report so far
+ *   keepalive                  - milliseconds between SSE keepalive comments
+ * Returns { handle, publish, close }: `handle` is the http request listener
+ * and `publish(message, room)` forwards a broadcast to the event streams.
+ */
+function createHttpApi(chatroom) {
+  const streams = new Set(); // { res, room }
+
+  const routes = {
+    '/health': { GET: getHealth },
+    '/config': { GET: getConfig },
+    '/participants': { GET: getParticipants },
+    '/messages': { GET: getMessages, POST: postMessage },
+    '/events': { GET: getEvents },
+    '/report': { GET: getReport }
+  };
+
+  const keepalive = setInterval(() => {
+    for (const stream of streams) stream.res.write(': keepalive\n\n');
+  }, chatroom.keepalive);
+
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (WEB_FILES[url.pathname] && req.method === 'GET') {
+      return sendFile(res, WEB_FILES[url.pathname]);
+    }
+    const route = routes[url.pathname];
+    if (!route) {
+      return sendJson(res, 404, { success: false, error: `No endpoint ${url.pathname}` });
+    }
+    const handler = route[req.method];
+    if (!handler) {
+      res.setHeader('Allow', Object.keys(route).join(', '));
+      return sendJson(res, 405, { success: false, error: `${req.method} is not supported on ${url.pathname}` });
+    }
+    if (url.pathname !== '/health' && !checkToken(req, chatroom.token)) {
+      return sendJson(res, 401, { success: false, error: 'Missing or invalid token (send Authorization: Bearer <token> or ?token=<token>)' });
+    }
+
+    const room = url.searchParams.get('room') || DEFAULT_ROOM;
+    if (!ROOM_NAME_PATTERN.test(room)) {
+      return sendJson(res, 400, { success: false, error: `Invalid room name: ${room}` });
+    }
+    handler(req, res, url, room);
+  }
+
+  function getHealth(req, res) {
+    sendJson(res, 200, { status: 'ok', uptime: Math.round(process.uptime()), ...chatroom.health() });
+  }
+
+  function getConfig(req, res) {
+    sendJson(res, 200, { success: true, ...chatroom.clientConfig() });
+  }
+
+  function getParticipants(req, res, url, room) {
+    const all = !url.searchParams.has('room');
+    sendJson(res, 200, {
+      success: true,
+      room: all ? null : room,
+      participants: chatroom.participants(all ? null : room)
+    });
+  }
+
+  function getMessages(req, res, url, room) {
+    const since = integerParam(url, 'since');
+    const limit = integerParam(url, 'limit');
+    if (Number.isNaN(since) || Number.isNaN(limit)) {
+      return sendJson(res, 400, { success: false, error: 'since and limit must be non-negative integers' });
+    }
+    const { messages, hasMore } = chatroom.messages(room, { sinceId: since, limit });
+    sendJson(res, 200, { success: true, room, messages, hasMore });
+  }
+
+  function postMessage(req, res, url, room) {
+    readJson(req, (err, body) => {
+      if (err) return sendJson(res, err.status, { success: false, error: err.message });
+
+      const target = body.room || room;
+      // test() would accept 5 or ["a"] by converting them to text
+      if (typeof target !== 'string' || !ROOM_NAME_PATTERN.test(target)) {
+        return sendJson(res, 400, { success: false, error: `Invalid room name: ${target}` });
+      }
+      const result = chatroom.post(target, body);
+      if (result.error) {
+        return sendJson(res, result.status || 400, { success: false, error: result.error });
+      }
+      sendJson(res, 201, { success: true, id: result.message.id, room: target });
+    });
+  }
+
+  function getReport(req, res) {
+    sendJson(res, 200, { success: true, report: chatroom.report() });
+  }
+
+  /**
+   * Stream a room's broadcasts as Server-Sent Events. Each event is named by
+   * the message type, and messages with an id carry it as the event id, so a
+   * reconnecting EventSource (Last-Event-ID) or ?since= replays what it missed.
+   */
+  function getEvents(req, res, url, room) {
+    const since = req.headers['last-event-id'] !== undefined
+      ? toInteger(req.headers['last-event-id'])
+      : integerParam(url, 'since');
+    if (Number.isNaN(since)) {
+      return sendJson(res, 400, { success: false, error: 'since must be a non-negative integer' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(`retry: ${SSE_RETRY}\n\n`);
+
+    let cursor = since;
+    while (cursor !== null) {
+      const { messages, hasMore } = chatroom.messages(room, { sinceId: cursor });
+      for (const message of messages) writeEvent(res, message);
+      cursor = hasMore && messages.length > 0 ? messages[messages.length - 1].id : null;
+    }
+
+    const stream = { res, room };
+    streams.add(stream);
+    req.on('close', () => streams.delete(stream));
+  }
+
+  /**
+   * Forward a message broadcast to `room` (or to every room if null) to the event streams
+   */
+  function publish(message, room = null) {
+    for (const stream of streams) {
+      if (room && stream.room !== room) continue;
+      writeEvent(stream.res, message);
+    }
+  }
+
+  function close() {
+    clearInterval(keepalive);
+    for (const stream of streams) stream.res.end();
+    streams.clear();
+  }
+
+  return { handle, publish, close };
+}
+
+function writeEvent(res, message) {
+  const id = Number.isInteger(message.id) ? `id: ${message.id}\n` : '';
+  res.write(`${id}event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function sendFile(res, { file, type }) {
+  fs.readFile(path.join(WEB_DIR, file), (err, content) => {
+    if (err) return sendJson(res, 500, { success: false, error: `Cannot read web/${file}: ${err.message}` });
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    res.end(content);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * A non-negative integer query parameter: null if absent, NaN if malformed
+ */
+function integerParam(url, name) {
+  return toInteger(url.searchParams.get(name));
+}
+
+function toInteger(value) {
+  if (value === null || value === '') return null;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+/**
+ * Read a JSON object request body. Errors carry the HTTP status to reply with.
+ */
+function readJson(req, callback) {
+  let size = 0;
+  const chunks = [];
+  let failed = false;
+  const fail = (status, message) => {
+    if (failed) return;
+    failed = true;
+    callback(Object.assign(new Error(message), { status }));
+  };
+
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      fail(413, `Body is larger than ${MAX_BODY_SIZE} bytes`);
+      return;
+    }
+    if (!failed) chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (failed) return;
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (err) {
+      return fail(400, `Body is not valid JSON: ${err.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return fail(400, 'Body must be a JSON object');
+    }
+    callback(null, body);
+  });
+}
+
+module.exports = { createHttpApi };
@@ -0,0 +1,169 @@
+/**
+ * Agent Chatroom - Session Reports
+ * Summarizes a server session from what its rooms logged: who took part and
+ * for how long, what each claimed and completed, which questions went
+ * unanswered, and who left abnormally. server.js writes one when it shuts
+ * down and serves it on request; the Terminal UI shows it with /report and
+ * agents get it from chatroom_report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatTime, formatDate, formatDuration } = require('./transcript');
+
+// Exit reasons (see server.js) meaning a participant vanished instead of leaving.
+// 'disconnected' (a close without a code) isn't one: the socket closed cleanly.
+const ABNORMAL_EXITS = ['heartbeat timeout', 'connection lost'];
+
+/**
+ * Build a report from each room's messages for the session (room -> messages,
+ * oldest first). Relies on the structured fields server.js puts on its
+ * system messages: `event` joined/left/claimed/task.
+ */
+function buildReport(rooms, { startedAt, endedAt = Date.now() }) {
+  const participants = new Map(); // name -> participant entry
+  const unanswered = [];
+  const abnormalExits = [];
+
+  const participant = (name, type) => {
+    if (!participants.has(name)) {
+      participants.set(name, { name, type: type || null, rooms: [], stints: [], time: 0, messages: 0, claimed: [], completed: [], exit: null, connected: false });
+    }
+    const p = participants.get(name);
+    if (!p.type && type) p.type = type;
+    return p;
+  };
+
+  for (const [room, messages] of Object.entries(rooms)) {
+    const present = new Map(); // name -> stint still in progress
+    const questions = new Map(); // questionId -> question not answered yet
+    const done = new Map(); // task id -> the task as last moved to done
+
+    for (const m of messages) {
+      if (m.type !== 'system') {
+        participant(m.from, m.agentType).messages++;
+        if (m.type === 'question') questions.set(m.questionId, m);
+        else if (m.type === 'answer') questions.delete(m.questionId);
+        continue;
+      }
+
+      if (m.event === 'joined') {
+        const p = participant(m.participant, m.participantType);
+        // A rejoin without a leave (an older log's reconnect) ends the previous stay
+        const open = present.get(m.participant);
+        if (open) {
+          open.leftAt = m.timestamp;
+          open.reason = 'reconnected';
+        }
+        const stint = { room, joinedAt: m.timestamp, leftAt: null, reason: null };
+        p.stints.push(stint);
+        if (!p.rooms.includes(room)) p.rooms.push(room);
+        present.set(m.participant, stint);
+      } else if (m.event === 'left') {
+        const stint = present.get(m.participant);
+        if (stint) {
+          stint.leftAt = m.timestamp;
+          stint.reason = m.reason || null;
+          present.delete(m.participant);
+        }
+        if (ABNORMAL_EXITS.includes(m.reason)) {
+          abnormalExits.push({ name: m.participant, room, reason: m.reason, at: m.timestamp });
+        }
+      } else if (m.event === 'claimed') {
+        participant(m.participant).claimed.push({ room, resource: m.resource, at: m.timestamp });
+      } else if (m.event === 'task') {
+        if (m.task.state === 'done') done.set(m.task.id, { ...m.task, by: m.participant });
+        else done.delete(m.task.id);
+      }
+    }
+
+    for (const task of done.values()) {
+      participant(task.assignee || task.by).completed.push({ room, id: task.id, title: task.title });
+    }
+    for (const q of questions.values()) {
+      unanswered.push({ room, questionId: q.questionId, from: q.from, to: q.to || null, text: q.text, askedAt: q.timestamp });
+    }
+  }
+
+  for (const p of participants.values()) {
+    for (const stint of p.stints) p.time += (stint.leftAt || endedAt) - stint.joinedAt;
+    p.connected = p.stints.some(stint => !stint.leftAt);
+    const last = p.stints.filter(stint => stint.leftAt).sort((a, b) => a.leftAt - b.leftAt).pop();
+    p.exit = p.connected ? null : last ? last.reason : null;
+  }
+
+  return {
+    startedAt,
+    endedAt,
+    duration: endedAt - startedAt,
+    rooms: Object.keys(rooms),
+    // Only names that joined; HTTP posters show up through their messages alone
+    participants: [...participants.values()]
+      .filter(p => p.stints.length > 0)
+      .sort((a, b) => a.stints[0].joinedAt - b.stints[0].joinedAt),
+    unanswered: unanswered.sort((a, b) => a.askedAt - b.askedAt),
+    abnormalExits: abnormalExits.sort((a, b) => a.at - b.at)
+  };
+}
+
+/**
+ * A report as Markdown (also readable as plain text in a terminal)
+ */
+function renderReport(report) {
+  const lines = [];
+  lines.push('# Chatroom session report', '');
+  lines.push(`${formatDate(report.startedAt)} to ${formatDate(report.endedAt)} (${formatDuration(report.duration)})` +
+    (report.rooms.length ? `, rooms: ${report.rooms.join(', ')}` : ''));
+
+  lines.push('', `## Participants (${report.participants.length})`, '');
+  if (report.participants.length === 0) lines.push('Nobody joined.');
+  for (const p of report.participants) {
+    const exit = p.connected ? 'still connected' : p.exit || 'left';
+    const flag = report.abnormalExits.some(e => e.name === p.name) ? ' **(left abnormally)**' : '';
+    lines.push(`- **${p.name}**${p.type ? ` (${p.type})` : ''}: ${formatDuration(p.time)} in ${p.rooms.join(', ')}, ` +
+      `${p.messages} message${p.messages === 1 ? '' : 's'}, ${exit}${flag}`);
+    if (p.claimed.length) lines.push(`  - claimed: ${p.claimed.map(c => c.resource).join(', ')}`);
+    if (p.completed.length) lines.push(`  - completed: ${p.completed.map(t => `#${t.id} ${t.title}`).join(', ')}`);
+  }
+
+  lines.push('', `## Unanswered questions (${report.unanswered.length})`, '');
+  if (report.unanswered.length === 0) lines.push('None.');
+  for (const q of report.unanswered) {
+    lines.push(`- ${formatTime(q.askedAt)} [${q.room}] ${q.from}${q.to ? ` -> ${q.to}` : ''}: ${oneLine(q.text)}`);
+  }
+
+  lines.push('', `## Abnormal exits (${report.abnormalExits.length})`, '');
+  if (report.abnormalExits.length === 0) lines.push('None.');
+  for (const e of report.abnormalExits) {
+    lines.push(`- ${formatTime(e.at)} [${e.room}] ${e.name}: ${e.reason}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a report to `dir` as Markdown and JSON. Returns { success, path }
+ * (the Markdown file) or { success: false, error }.
+ */
+function writeReport(report, dir) {
+  const d = new Date(report.endedAt);
+  const base = path.join(dir, `session-${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${base}.md`, renderReport(report));
+    fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2) + '\n');
+  } catch (err) {
+    return { success: false, error: `Cannot write report to ${dir}: ${err.message}` };
+  }
+  return { success: true, path: `${base}.md` };
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function oneLine(text) {
+  return String(text || '').replace(/\r?\n/g, ' ');
+}
+
+module.exports = { buildReport, renderReport, writeReport, ABNORMAL_EXITS };
@@ -5,75 +5,538 @@
  */
 
 const { WebSocketServer } = require('ws');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { createHistory, DEFAULT_ROOM, ROOM_NAME_PATTERN } = require('./history');
+const { createClaims } = require('./claims');
+const { createTaskBoard } = require('./tasks');
+const { validateAttachments } = require('./attachments');
+const { generateToken, writeToken, checkToken, tokenFile } = require('./auth');
+const { createHttpApi } = require('./http-api');
+const { loadCategories } = require('./categories');
+const { loadConfig } = require('./config');
+const { buildReport, writeReport } = require('./report');
 
-const PORT = process.env.CHATROOM_PORT || 3030;
-const HEARTBEAT_INTERVAL = 5000; // 5 seconds (faster detection)
-const CLIENT_TIMEOUT = 15000; // 15 seconds (2 missed heartbeats + buffer)
-const PARTICIPANT_UPDATE_INTERVAL = 5000; // 5 seconds
+const MAX_HISTORY_PAGE = 500;
+const RECONNECT_WINDOW = 500; // missed messages replayed at once on reconnect
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_NAME_LENGTH = 64;
+const MAX_MISSED_PINGS = 2; // heartbeats in a row without a pong before a client is dropped
+const RESERVED_NAMES = ['system']; // used as `from` on server announcements
+const HTTP_AGENT_TYPE = 'http'; // agentType of messages posted through the HTTP API
+const REPORTS_DIR = 'reports'; // under the history directory; session reports written on shutdown
 
-function createServer(port = PORT) {
-  const wss = new WebSocketServer({ port });
-  const clients = new Map(); // ws -> { name, type, alive, joinedAt, status, task }
+// Roles come from agentType: the human at the terminal is `user`, read-only
+// clients are `observer`, and everything else is an `agent`
+const ROLES = ['user', 'observer', 'agent'];
 
-  console.log(`Agent Chatroom Server running on ws://localhost:${port}`);
+// Message types that speak in a room or change shared state (not for observers)
+const POSTING_TYPES = [
+  'chat', 'discovery', 'dm', 'question', 'answer', 'status_update',
+  'claim', 'release', 'task_create', 'task_update', 'task_pick'
+];
+
+// Message types only the user may send
+const USER_TYPES = ['control'];
+const CONTROL_ACTIONS = ['shutdown', 'kick', 'pause', 'resume'];
+const ROOM_WIDE_ACTIONS = ['pause', 'resume'];
+
+// Messages participants write to the room: they can `@name` / `@type` mention
+// participants, and start or reply in threads
+const CONVERSATION_TYPES = ['chat', 'discovery', 'question', 'answer'];
+const MENTION_PATTERN = /(?:^|[^\w@])@([\w.-]*\w)/g;
+
+function createServer(port, options = {}) {
+  // Settings not passed in come from .chatroom.json / the environment (config.js)
+  const config = options.config || loadConfig().config;
+  port = port || config.port;
+
+  // Per-session token; only published once we own the port, so a second
+  // server that fails to bind can't overwrite the live server's token
+  const token = options.token || generateToken();
+
+  // HTTP endpoints and WebSocket upgrades share one port (see http-api.js)
+  const api = createHttpApi({
+    token,
+    participants: participantsIn,
+    messages: httpMessages,
+    post: httpPost,
+    health: () => ({ participants: clients.size, rooms: listRooms().length }),
+    clientConfig: () => ({ user: config.user, room: config.room, categories }),
+    report: sessionReport,
+    keepalive: config.heartbeatInterval
+  });
+  const httpServer = http.createServer(api.handle);
+  const wss = new WebSocketServer({
+    server: httpServer,
+    verifyClient: ({ req }) => checkToken(req, token)
+  });
+  httpServer.listen(port);
+  wss.on('listening', () => {
+    console.log(`Web UI: http://localhost:${port}/#token=${token}`);
+    if (options.token) return;
+    try {
+      writeToken(token, options.tokenFile || tokenFile(port, config.tokenFile));
+    } catch (err) {
+      console.error(`Cannot write token file (${err.message}); clients will be rejected`);
+    }
+  });
+  const clients = new Map(); // ws -> { name, type, role, room, pingPending, missedPings, joinedAt, status, task }
+  const questions = new Map(); // questionId -> { id, room, from, to, text, status, askedAt, expiresAt, timer }
+  const paused = new Map(); // room -> the pause control message in effect
+  const sequences = new Map(); // room -> id of the last message relayed there
+  const history = options.history || createHistory(options.historyDir || config.historyDir);
+  const claims = options.claims || createClaims();
+  const tasks = options.tasks || createTaskBoard();
+  const backlog = options.backlog ?? config.backlog; // messages replayed on register
+  const allowAgentDm = options.allowAgentDm ?? config.allowAgentDm;
+  const { categories } = loadCategories(config.categories); // for the web UI
+  const startedAt = Date.now(); // transcripts and the session report cover this session
+  const sessionRooms = new Set(); // rooms that logged anything this session
+
+  console.log(`Agent Chatroom Server running on ws://localhost:${port} (HTTP API on http://localhost:${port})`);
+
+  /**
+   * Send a message to the WebSocket clients and event streams in `room`, or everywhere if null
+   */
+  function publish(message, room = null) {
+    broadcast(wss, clients, message, room);
+    api.publish(message, room);
+  }
+
+  /**
+   * Number a message, record it in a room's history log and broadcast it to that room
+   */
+  function relay(room, message) {
+    if (CONVERSATION_TYPES.includes(message.type)) {
+      const mentions = mentionsIn(room, message.text);
+      if (mentions.length > 0) message.mentions = mentions;
+    }
+    message.id = nextId(room);
+    message.room = room;
+    history.append(room, message);
+    sessionRooms.add(room);
+    publish(message, room);
+  }
+
+  /**
+   * Next message id in a room. Ids increase by one per conversation message
+   * (chat, discovery, system, dm, question, answer) and carry on from the
+   * room's history log after a restart, so clients can dedupe, order and
+   * detect gaps by id.
+   */
+  function nextId(room) {
+    if (!sequences.has(room)) sequences.set(room, history.lastId(room));
+    const id = sequences.get(room) + 1;
+    sequences.set(room, id);
+    return id;
+  }
+
+  /**
+   * Summary of this session so far across every room it touched (see report.js)
+   */
+  function sessionReport() {
+    const rooms = {};
+    for (const room of [...sessionRooms].sort()) {
+      rooms[room] = history.load(room).filter(m => m.timestamp >= startedAt);
+    }
+    return buildReport(rooms, { startedAt });
+  }
+
+  /**
+   * Rooms that currently have participants or a history log
+   */
+  function listRooms() {
+    const counts = new Map(history.listRooms().map(name => [name, 0]));
+    for (const [, info] of clients.entries()) {
+      counts.set(info.room, (counts.get(info.room) || 0) + 1);
+    }
+    return [...counts].map(([name, participants]) => ({ name, participants }))
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  /**
+   * Broadcast the room list to every client (all rooms)
+   */
+  function broadcastRooms() {
+    publish({
+      type: 'rooms_update',
+      rooms: listRooms(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Questions in a room that are still waiting for an answer
+   */
+  function openQuestions(room) {
+    const open = [];
+    for (const q of questions.values()) {
+      if (q.room === room && q.status === 'open') {
+        open.push({
+          questionId: q.id,
+          from: q.from,
+          to: q.to,
+          text: q.text,
+          askedAt: q.askedAt,
+          expiresAt: q.expiresAt
+        });
+      }
+    }
+    return open;
+  }
+
+  /**
+   * Broadcast a room's open questions to the clients in that room
+   */
+  function broadcastQuestions(room) {
+    publish({
+      type: 'questions_update',
+      room,
+      questions: openQuestions(room),
+      timestamp: Date.now()
+    }, room);
+  }
+
+  /**
+   * Mark a question expired once its asker stops waiting for an answer
+   */
+  function expireQuestion(id) {
+    const q = questions.get(id);
+    if (!q || q.status !== 'open') return;
+    q.status = 'expired';
+    questions.delete(id);
+    broadcastQuestions(q.room);
+  }
+
+  /**
+   * Broadcast a room's claims to the clients in that room
+   */
+  function broadcastClaims(room) {
+    publish({
+      type: 'claims_update',
+      room,
+      claims: claims.list(room),
+      timestamp: Date.now()
+    }, room);
+  }
+
+  /**
+   * Broadcast a room's task board to the clients in that room
+   */
+  function broadcastTasks(room) {
+    publish({
+      type: 'tasks_update',
+      room,
+      tasks: tasks.list(room),
+      timestamp: Date.now()
+    }, room);
+  }
 
   /**
-   * Broadcast participant list to all clients
+   * Announce a task board change in the room and push the new board
    */
-  function broadcastParticipants() {
+  function announceTaskChange(room, by, task, changed) {
+    const parts = [];
+    if (changed.includes('state')) parts.push(`moved to ${task.state}`);
+    if (changed.includes('assignee')) parts.push(task.assignee ? `assigned to ${task.assignee}` : 'unassigned');
+    if (changed.includes('note') && task.note) parts.push(`note: ${task.note}`);
+
+    relay(room, {
+      type: 'system',
+      text: `${by}: task #${task.id} "${task.title}" ${parts.join(', ')}`,
+      ...taskEvent(by, task),
+      timestamp: Date.now()
+    });
+    broadcastTasks(room);
+  }
+
+  /**
+   * Release everything a participant holds in a room once it is gone from that
+   * room (unless another connection with the same name is still there)
+   */
+  function releaseClaimsOf(info, room, reason) {
+    for (const [, other] of clients.entries()) {
+      if (other !== info && other.name === info.name && other.room === room) return;
+    }
+
+    const released = claims.releaseAll(room, info.name);
+    if (released.length === 0) return;
+
+    relay(room, {
+      type: 'system',
+      text: `${info.name} released ${released.join(', ')} (${reason})`,
+      event: 'released',
+      participant: info.name,
+      resources: released,
+      timestamp: Date.now()
+    });
+    broadcastClaims(room);
+  }
+
+  /**
+   * Put a registered client into its room: replay that room's history to it,
+   * announce it, and refresh participant lists
+   */
+  function enterRoom(ws, info, request) {
+    reply(ws, request, {
+      type: 'history',
+      room: info.room,
+      ...replayFor(info, request),
+      sessionStartedAt: startedAt, // the log outlives the server; older messages are from past sessions
+      timestamp: Date.now()
+    });
+    ws.send(JSON.stringify({
+      type: 'questions_update',
+      room: info.room,
+      questions: openQuestions(info.room),
+      timestamp: Date.now()
+    }));
+    ws.send(JSON.stringify({
+      type: 'claims_update',
+      room: info.room,
+      claims: claims.list(info.room),
+      timestamp: Date.now()
+    }));
+    ws.send(JSON.stringify({
+      type: 'tasks_update',
+      room: info.room,
+      tasks: tasks.list(info.room),
+      timestamp: Date.now()
+    }));
+    // Joining a paused room means joining paused
+    if (paused.has(info.room)) {
+      ws.send(JSON.stringify(paused.get(info.room)));
+    }
+
+    relay(info.room, {
+      type: 'system',
+      text: `${info.name} joined`,
+      ...presenceEvent('joined', info),
+      timestamp: Date.now()
+    });
+
+    // Broadcast updated participant list
+    broadcastParticipants(info.room);
+    broadcastRooms();
+  }
+
+  /**
+   * What to replay to a client entering a room. A reconnecting client that
+   * sends the id of the last message it saw gets exactly what it missed
+   * (`sinceId` is echoed, and `hasMore` means newer messages remain);
+   * everyone else gets the recent backlog so late joiners see earlier findings.
+   */
+  function replayFor(info, request) {
+    const filter = m => canSee(info, m);
+    const lastSeenId = request.lastSeenId;
+    // An id beyond the log means the client saw a different log (e.g. the
+    // history dir was wiped), so its cursor is meaningless here
+    if (Number.isInteger(lastSeenId) && lastSeenId >= 0 && lastSeenId <= history.lastId(info.room)) {
+      const { messages, hasMore } = history.page(info.room, { sinceId: lastSeenId, limit: RECONNECT_WINDOW, filter });
+      return { messages, hasMore, sinceId: lastSeenId };
+    }
+
+    const limit = clampLimit(request.backlog ?? backlog);
+    return limit > 0
+      ? history.page(info.room, { limit, filter })
+      : { messages: [], hasMore: false };
+  }
+
+  /**
+   * The socket and info of the client registered under `name` (in any case), if any
+   */
+  function findClient(name) {
+    const wanted = String(name).toLowerCase();
+    for (const [client, info] of clients.entries()) {
+      if (info.name.toLowerCase() === wanted) return [client, info];
+    }
+    return null;
+  }
+
+  /**
+   * The participant names and agent types `@mentioned` in `text`, as spelled
+   * by the participants in `room` (matching is case-insensitive). Mentions of
+   * anyone not in the room are left as plain text.
+   */
+  function mentionsIn(room, text) {
+    const known = new Map();
+    for (const info of clients.values()) {
+      if (info.room !== room) continue;
+      known.set(info.name.toLowerCase(), info.name);
+      known.set(info.type.toLowerCase(), info.type);
+    }
+
+    const mentions = new Set();
+    for (const [, token] of String(text || '').matchAll(MENTION_PATTERN)) {
+      const mention = known.get(token.toLowerCase());
+      if (mention) mentions.add(mention);
+    }
+    return [...mentions];
+  }
+
+  /**
+   * Thread fields for a message replying to message `replyTo`. Replies hang
+   * off the thread's root, so a reply to a reply joins the same thread.
+   * Returns `{ error }` if the sender can't see a message to reply to.
+   */
+  function threadFields(info, replyTo) {
+    if (replyTo === undefined || replyTo === null) return {};
+
+    const parent = Number.isInteger(replyTo) ? history.get(info.room, replyTo) : null;
+    if (!parent || !CONVERSATION_TYPES.includes(parent.type) || !canSee(info, parent)) {
+      return { error: `No message #${replyTo} to reply to in ${info.room}` };
+    }
+    return { replyTo, threadId: parent.threadId || parent.id };
+  }
+
+  /**
+   * The type a client registering as `agentType` under `name` gets. Only the
+   * configured user may register as a user, the role that sends control
+   * commands; anyone else claiming it joins as an agent.
+   */
+  function grantedType(name, agentType) {
+    const type = typeof agentType === 'string' && agentType ? agentType : 'agent';
+    return type === 'user' && name.toLowerCase() !== config.user.toLowerCase() ? 'agent' : type;
+  }
+
+  /**
+   * `name`, or `name-2`, `name-3`... if it is taken
+   */
+  function uniqueName(name) {
+    if (!findClient(name)) return name;
+    let n = 2;
+    while (findClient(`${name}-${n}`)) n++;
+    return `${name}-${n}`;
+  }
+
+  /**
+   * The participants in `room` (every room if null)
+   */
+  function participantsIn(room) {
     const participants = [];
     for (const [, info] of clients.entries()) {
+      if (room && info.room !== room) continue;
       participants.push({
         name: info.name,
         type: info.type,
+        role: info.role,
+        room: info.room,
         status: info.type === 'user' ? 'observer' : (info.status || 'idle'),
         task: info.task || null,
         joinedAt: info.joinedAt
       });
     }
-    broadcast(wss, clients, {
+    return participants;
+  }
+
+  /**
+   * Broadcast a room's participant list to the clients in that room
+   */
+  function broadcastParticipants(room) {
+    publish({
       type: 'participants_update',
-      participants,
+      room,
+      participants: participantsIn(room),
       timestamp: Date.now()
+    }, room);
+  }
+
+  /**
+   * A page of a room's history for HTTP clients, which see no DMs. After
+   * `sinceId` a page defaults to the largest allowed, otherwise to the backlog.
+   */
+  function httpMessages(room, { sinceId = null, limit = null }) {
+    return history.page(room, {
+      sinceId,
+      limit: clampLimit(limit ?? (sinceId === null ? backlog : MAX_HISTORY_PAGE)),
+      filter: m => m.type !== 'dm'
     });
   }
 
+  /**
+   * Post a chat message (or a discovery, if it has a category) from an HTTP
+   * client. HTTP posters have no connection, so they can't take the name of
+   * someone who is connected, nor the user's even while no UI is open.
+   */
+  function httpPost(room, body) {
+    const from = typeof body.from === 'string' ? body.from.trim() : '';
+    if (!from || from.length > MAX_NAME_LENGTH || RESERVED_NAMES.includes(from.toLowerCase())) {
+      return { error: `Invalid name: ${body.from}` };
+    }
+    if ([config.user.toLowerCase(), 'user'].includes(from.toLowerCase())) {
+      return { error: `${from} is the user's name; post under another name`, status: 409 };
+    }
+    if (findClient(from)) {
+      return { error: `${from} is connected to the chatroom; post under another name`, status: 409 };
+    }
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      return { error: 'text is required' };
+    }
+    if (body.category !== undefined && (typeof body.category !== 'string' || !body.category)) {
+      return { error: 'category must be a non-empty string' };
+    }
+
+    const info = { name: from, type: HTTP_AGENT_TYPE, role: roleOf(HTTP_AGENT_TYPE), room };
+    const thread = threadFields(info, body.replyTo);
+    const { attachments, error } = validateAttachments(body.attachments);
+    if (thread.error || error) return { error: thread.error || error };
+
+    const message = body.category
+      ? { type: 'discovery', from, agentType: info.type, category: body.category, text: body.text }
+      : { type: 'chat', from, agentType: info.type, text: body.text };
+    Object.assign(message, { attachments, ...thread, timestamp: Date.now() });
+    const newRoom = history.lastId(room) === 0;
+    relay(room, message);
+    if (newRoom) broadcastRooms();
+
+    console.log(`> ${from} (http) posted #${message.id} in ${room}`);
+    return { message };
+  }
+
   // Heartbeat to detect dead connections
   const heartbeatInterval = setInterval(() => {
     const now = Date.now();
     for (const [ws, info] of clients.entries()) {
-      if (!info.alive) {
-        // Client didn't respond to last ping - terminate
+      // A ping still unanswered a whole interval later was missed
+      if (info.pingPending) info.missedPings++;
+      if (info.missedPings >= MAX_MISSED_PINGS) {
         console.log(`! ${info.name} (no heartbeat response, terminating)`);
+        info.timedOut = true; // terminate() closes with 1006, like any lost connection
         ws.terminate();
       } else {
-        // Mark as not alive, will be set true when pong received
-        info.alive = false;
+        info.pingPending = true; // cleared by the pong
         ws.ping();
       }
     }
-  }, HEARTBEAT_INTERVAL);
+  }, config.heartbeatInterval);
 
   // Periodic participant list broadcast (for status updates)
   const participantInterval = setInterval(() => {
-    if (clients.size > 0) {
-      broadcastParticipants();
+    const rooms = new Set([...clients.values()].map(info => info.room));
+    for (const room of rooms) {
+      broadcastParticipants(room);
     }
-  }, PARTICIPANT_UPDATE_INTERVAL);
+  }, config.participantUpdateInterval);
 
   wss.on('close', () => {
+    api.close();
+    httpServer.close();
     clearInterval(heartbeatInterval);
     clearInterval(participantInterval);
+    for (const q of questions.values()) clearTimeout(q.timer);
   });
 
   wss.on('connection', (ws) => {
     const now = Date.now();
-    let clientInfo = { name: 'unknown', type: 'unknown', alive: true, joinedAt: now, status: 'idle', task: null };
+    let clientInfo = { name: 'unknown', type: 'unknown', room: DEFAULT_ROOM, pingPending: false, missedPings: 0, joinedAt: now, status: 'idle', task: null };
 
     // Handle pong responses (heartbeat)
     ws.on('pong', () => {
       if (clients.has(ws)) {
-        clients.get(ws).alive = true;
+        clients.get(ws).pingPending = false;
+        clients.get(ws).missedPings = 0;
       }
     });
 
@@ -83,27 +546,130 @@ function createServer(port = PORT) {
 
         // Handle registration
         if (msg.type === 'register') {
+          const room = msg.room || DEFAULT_ROOM;
+          if (typeof room !== 'string' || !ROOM_NAME_PATTERN.test(room)) {
+            reply(ws, msg, { type: 'error', error: `Invalid room name: ${room}`, timestamp: Date.now() });
+            return;
+          }
+
+          const requested = typeof msg.name === 'string' ? msg.name.trim() : '';
+          if (!requested || requested.length > MAX_NAME_LENGTH || RESERVED_NAMES.includes(requested.toLowerCase())) {
+            reply(ws, msg, { type: 'error', error: `Invalid name: ${msg.name}`, timestamp: Date.now() });
+            return;
+          }
+          if (clients.has(ws)) {
+            reply(ws, msg, { type: 'error', error: `Already registered as ${clientInfo.name}`, timestamp: Date.now() });
+            return;
+          }
+
+          // Names are unique server-wide. A client reconnecting under its old
+          // name takes over its socket once that has missed a heartbeat (or
+          // closed); a live holder keeps the name and anyone else gets a suffix.
+          const existing = findClient(requested);
+          const stale = existing && (existing[1].missedPings > 0 || existing[0].readyState !== existing[0].OPEN);
+          let name = requested;
+          let replaced = null;
+          if (stale && msg.reconnect && existing[1].type === grantedType(requested, msg.agentType)) {
+            const [staleWs, staleInfo] = existing;
+            clients.delete(staleWs);
+            staleWs.terminate();
+            replaced = staleInfo;
+          } else if (existing) {
+            name = uniqueName(requested);
+          }
+
+          const type = grantedType(name, msg.agentType);
           const registerTime = Date.now();
           clientInfo = {
-            name: msg.name,
-            type: msg.agentType || 'agent',
-            alive: true,
+            name,
+            type,
+            role: roleOf(type),
+            room,
+            pingPending: false,
+            missedPings: 0,
             joinedAt: registerTime,
             status: 'idle',
             task: null
           };
           clients.set(ws, clientInfo);
+          reply(ws, msg, {
+            type: 'registered',
+            name,
+            requestedName: requested,
+            room,
+            timestamp: registerTime
+          });
+          if (replaced) {
+            // Close the old connection's stay, so reports don't count it twice
+            relay(replaced.room, {
+              type: 'system',
+              text: `${replaced.name} reconnected`,
+              ...presenceEvent('left', replaced, 'reconnected'),
+              timestamp: Date.now()
+            });
+          }
+          if (replaced && replaced.room !== room) {
+            releaseClaimsOf(replaced, replaced.room, 'reconnected elsewhere');
+            broadcastParticipants(replaced.room);
+          }
+          enterRoom(ws, clientInfo, msg);
+
+          console.log(`+ ${clientInfo.name} (${clientInfo.type}) in ${room}${replaced ? ' [took over stale connection]' : ''}`);
+          return;
+        }
+
+        // Everything else needs a registered identity, and is always sent as it
+        if (!clients.has(ws)) {
+          reply(ws, msg, { type: 'error', error: 'Register before sending messages', timestamp: Date.now() });
+          return;
+        }
+        if (msg.from !== undefined && msg.from !== clientInfo.name) {
+          reply(ws, msg, {
+            type: 'error',
+            error: `Cannot send as "${msg.from}": this connection is registered as "${clientInfo.name}"`,
+            timestamp: Date.now()
+          });
+          console.log(`! ${clientInfo.name} tried to send as ${msg.from}`);
+          return;
+        }
+        const denied = permissionError(clientInfo, msg);
+        if (denied) {
+          reply(ws, msg, { type: 'error', error: denied, timestamp: Date.now() });
+          return;
+        }
+
+        // Handle room switch - leave the current room and enter another
+        if (msg.type === 'join_room') {
+          const room = msg.room;
+          if (typeof room !== 'string' || !ROOM_NAME_PATTERN.test(room)) {
+            reply(ws, msg, { type: 'error', error: `Invalid room name: ${room}`, timestamp: Date.now() });
+            return;
+          }
+          if (room === clientInfo.room) return;
 
-          broadcast(wss, clients, {
+          const previous = clientInfo.room;
+          clientInfo.room = room;
+          relay(previous, {
             type: 'system',
-            text: `${clientInfo.name} joined`,
+            text: `${clientInfo.name} moved to ${room}`,
+            ...presenceEvent('left', clientInfo, `moved to ${room}`),
             timestamp: Date.now()
           });
+          broadcastParticipants(previous);
+          releaseClaimsOf(clientInfo, previous, `moved to ${room}`);
+          enterRoom(ws, clientInfo, msg);
 
-          // Broadcast updated participant list
-          broadcastParticipants();
+          console.log(`> ${clientInfo.name} ${previous} -> ${room}`);
+          return;
+        }
 
-          console.log(`+ ${clientInfo.name} (${clientInfo.type})`);
+        // Handle room list query
+        if (msg.type === 'rooms') {
+          reply(ws, msg, {
+            type: 'rooms_response',
+            rooms: listRooms(),
+            timestamp: Date.now()
+          });
           return;
         }
 
@@ -114,7 +680,8 @@ function createServer(port = PORT) {
             info.status = msg.status || 'idle';
             info.task = msg.task || null;
             // Broadcast updated participant list
-            broadcastParticipants();
+            broadcastParticipants(info.room);
+            reply(ws, msg, { type: 'status_result', success: true, status: info.status, task: info.task, timestamp: Date.now() });
             console.log(`~ ${info.name} status: ${info.status}${info.task ? ' - ' + info.task : ''}`);
           }
           return;
@@ -122,30 +689,354 @@ function createServer(port = PORT) {
 
         // Handle chat messages
         if (msg.type === 'chat') {
-          broadcast(wss, clients, {
+          const thread = threadFields(clientInfo, msg.replyTo);
+          const { attachments, error } = validateAttachments(msg.attachments);
+          if (thread.error || error) {
+            reply(ws, msg, { type: 'error', error: thread.error || error, timestamp: Date.now() });
+            return;
+          }
+
+          const chat = {
             type: 'chat',
-            from: msg.from || clientInfo.name,  // Use sender's name if provided
+            from: clientInfo.name,
             agentType: clientInfo.type,
             text: msg.text,
+            attachments,
+            ...thread,
             timestamp: Date.now()
-          });
+          };
+          relay(clientInfo.room, chat);
+          if (msg.requestId) reply(ws, msg, { type: 'ack', id: chat.id, timestamp: Date.now() });
         }
 
         // Handle discovery broadcasts
         if (msg.type === 'discovery') {
+          const thread = threadFields(clientInfo, msg.replyTo);
+          const { attachments, error } = validateAttachments(msg.attachments);
+          if (thread.error || error) {
+            reply(ws, msg, { type: 'error', error: thread.error || error, timestamp: Date.now() });
+            return;
+          }
+
           // If category is 'leaving', mark client as leaving (for graceful exit detection)
           if (msg.category === 'leaving' && clients.has(ws)) {
             clients.get(ws).leaving = true;
           }
 
-          broadcast(wss, clients, {
+          const discovery = {
             type: 'discovery',
-            from: msg.from || clientInfo.name,  // Use sender's name if provided
+            from: clientInfo.name,
             agentType: clientInfo.type,
             category: msg.category,
             text: msg.text,
+            attachments,
+            ...thread,
+            timestamp: Date.now()
+          };
+          relay(clientInfo.room, discovery);
+          if (msg.requestId) reply(ws, msg, { type: 'ack', id: discovery.id, timestamp: Date.now() });
+        }
+
+        // Handle direct messages - delivered to the named recipient and echoed to the sender
+        if (msg.type === 'dm') {
+          // Names match in any case (see findClient); the DM carries the recipient's own spelling
+          const recipient = msg.to ? findClient(msg.to) : null;
+          if (!recipient || recipient[1].room !== clientInfo.room) {
+            reply(ws, msg, {
+              type: 'error',
+              error: msg.to ? `No participant named ${msg.to} in ${clientInfo.room}` : 'Recipient is required',
+              timestamp: Date.now()
+            });
+            return;
+          }
+          const [recipientWs, recipientInfo] = recipient;
+          if (!allowAgentDm && clientInfo.role === 'agent' && recipientInfo.role === 'agent') {
+            reply(ws, msg, {
+              type: 'error',
+              error: 'Agents may not DM each other in this chatroom - broadcast to the room instead',
+              timestamp: Date.now()
+            });
+            return;
+          }
+
+          const dm = {
+            id: nextId(clientInfo.room),
+            type: 'dm',
+            from: clientInfo.name,
+            to: recipientInfo.name,
+            agentType: clientInfo.type,
+            text: msg.text,
+            room: clientInfo.room,
+            timestamp: Date.now()
+          };
+          history.append(clientInfo.room, dm);
+
+          if (recipientWs !== ws && recipientWs.readyState === 1) recipientWs.send(JSON.stringify(dm));
+          reply(ws, msg, { ...dm });
+          return;
+        }
+
+        // Handle questions - tracked until answered or the asker's timeout passes
+        if (msg.type === 'question') {
+          const id = msg.id || crypto.randomBytes(4).toString('hex');
+          if (!/^[a-f0-9]{4,32}$/.test(id) || questions.has(id)) {
+            reply(ws, msg, { type: 'error', error: `Invalid or duplicate question id: ${id}`, timestamp: Date.now() });
+            return;
+          }
+          const thread = threadFields(clientInfo, msg.replyTo);
+          if (thread.error) {
+            reply(ws, msg, { type: 'error', error: thread.error, timestamp: Date.now() });
+            return;
+          }
+
+          const askedAt = Date.now();
+          const timeout = parseInt(msg.timeout, 10) || 0;
+          const question = {
+            id,
+            room: clientInfo.room,
+            from: clientInfo.name,
+            to: msg.to || null,
+            text: msg.text,
+            status: 'open',
+            askedAt,
+            expiresAt: timeout > 0 ? askedAt + timeout : null,
+            timer: null
+          };
+          if (timeout > 0) {
+            question.timer = setTimeout(() => expireQuestion(id), timeout);
+          }
+          questions.set(id, question);
+
+          const asked = {
+            type: 'question',
+            questionId: id,
+            from: question.from,
+            to: question.to,
+            agentType: clientInfo.type,
+            text: question.text,
+            expiresAt: question.expiresAt,
+            ...thread,
+            timestamp: askedAt
+          };
+          relay(clientInfo.room, asked);
+          // The answer is posted as a reply in the question's thread
+          question.messageId = asked.id;
+          question.threadId = asked.threadId || asked.id;
+          reply(ws, msg, { type: 'question_result', success: true, questionId: id, messageId: asked.id, timestamp: Date.now() });
+          broadcastQuestions(clientInfo.room);
+          return;
+        }
+
+        // Handle answers to open questions
+        if (msg.type === 'answer') {
+          const question = questions.get(msg.questionId);
+          if (!question || question.room !== clientInfo.room) {
+            reply(ws, msg, {
+              type: 'error',
+              error: `No open question with id ${msg.questionId} (already answered or expired?)`,
+              timestamp: Date.now()
+            });
+            return;
+          }
+
+          clearTimeout(question.timer);
+          question.status = 'answered';
+          questions.delete(question.id);
+
+          const answer = {
+            type: 'answer',
+            questionId: question.id,
+            question: question.text,
+            from: clientInfo.name,
+            to: question.from,
+            agentType: clientInfo.type,
+            text: msg.text,
+            replyTo: question.messageId,
+            threadId: question.threadId,
+            timestamp: Date.now()
+          };
+          relay(clientInfo.room, answer);
+          broadcastQuestions(clientInfo.room);
+          if (msg.requestId) {
+            reply(ws, msg, { type: 'ack', questionId: question.id, timestamp: Date.now() });
+          }
+          return;
+        }
+
+        // Handle claims - atomically succeeds or reports the current holder
+        if (msg.type === 'claim') {
+          if (!msg.resource || typeof msg.resource !== 'string') {
+            reply(ws, msg, { type: 'error', error: 'resource is required', timestamp: Date.now() });
+            return;
+          }
+
+          const result = claims.claim(clientInfo.room, msg.resource, clientInfo.name, msg.note || null);
+          reply(ws, msg, { type: 'claim_result', ...result, timestamp: Date.now() });
+
+          if (result.success && !result.alreadyHeld) {
+            relay(clientInfo.room, {
+              type: 'system',
+              text: `${clientInfo.name} claimed ${msg.resource}${result.note ? ' - ' + result.note : ''}`,
+              event: 'claimed',
+              participant: clientInfo.name,
+              resource: msg.resource,
+              timestamp: Date.now()
+            });
+            broadcastClaims(clientInfo.room);
+          }
+          return;
+        }
+
+        if (msg.type === 'release') {
+          const result = claims.release(clientInfo.room, msg.resource, clientInfo.name);
+          reply(ws, msg, { type: 'release_result', ...result, timestamp: Date.now() });
+
+          if (result.success) {
+            relay(clientInfo.room, {
+              type: 'system',
+              text: `${clientInfo.name} released ${msg.resource}`,
+              event: 'released',
+              participant: clientInfo.name,
+              resources: [msg.resource],
+              timestamp: Date.now()
+            });
+            broadcastClaims(clientInfo.room);
+          }
+          return;
+        }
+
+        if (msg.type === 'claims') {
+          reply(ws, msg, {
+            type: 'claims_response',
+            room: clientInfo.room,
+            claims: claims.list(clientInfo.room),
             timestamp: Date.now()
           });
+          return;
+        }
+
+        // Handle task board changes
+        if (msg.type === 'task_create') {
+          const result = tasks.create(clientInfo.room, {
+            title: msg.title,
+            description: msg.description || null,
+            assignee: msg.assignee || null
+          }, clientInfo.name);
+          reply(ws, msg, { type: 'task_result', ...result, timestamp: Date.now() });
+
+          if (result.success) {
+            const { task } = result;
+            relay(clientInfo.room, {
+              type: 'system',
+              text: `${clientInfo.name} created task #${task.id} "${task.title}"${task.assignee ? ' for ' + task.assignee : ''}`,
+              ...taskEvent(clientInfo.name, task),
+              timestamp: Date.now()
+            });
+            broadcastTasks(clientInfo.room);
+          }
+          return;
+        }
+
+        if (msg.type === 'task_update' || msg.type === 'task_pick') {
+          const result = msg.type === 'task_pick'
+            ? tasks.pick(clientInfo.room, msg.id, clientInfo.name)
+            : tasks.update(clientInfo.room, msg.id, {
+              state: msg.state,
+              assignee: msg.assignee,
+              note: msg.note
+            });
+          reply(ws, msg, { type: 'task_result', ...result, timestamp: Date.now() });
+
+          if (result.success && result.changed.length > 0) {
+            announceTaskChange(clientInfo.room, clientInfo.name, result.task, result.changed);
+          }
+          return;
+        }
+
+        if (msg.type === 'tasks') {
+          reply(ws, msg, {
+            type: 'tasks_response',
+            room: clientInfo.room,
+            tasks: tasks.list(clientInfo.room, { state: msg.state, assignee: msg.assignee }),
+            timestamp: Date.now()
+          });
+          return;
+        }
+
+        // Handle user control commands - delivered live, never persisted, so
+        // a late joiner doesn't replay an old shutdown
+        if (msg.type === 'control') {
+          if (!CONTROL_ACTIONS.includes(msg.action)) {
+            reply(ws, msg, {
+              type: 'error',
+              error: `Unknown control action "${msg.action}" (expected one of: ${CONTROL_ACTIONS.join(', ')})`,
+              timestamp: Date.now()
+            });
+            return;
+          }
+          if (msg.action === 'kick' && !msg.target) {
+            reply(ws, msg, { type: 'error', error: 'kick needs a target', timestamp: Date.now() });
+            return;
+          }
+          if (ROOM_WIDE_ACTIONS.includes(msg.action) && msg.target) {
+            reply(ws, msg, { type: 'error', error: `${msg.action} applies to the whole room`, timestamp: Date.now() });
+            return;
+          }
+          if (msg.action === 'resume' && !paused.has(clientInfo.room)) {
+            reply(ws, msg, { type: 'error', error: `${clientInfo.room} is not paused`, timestamp: Date.now() });
+            return;
+          }
+
+          let target = null;
+          if (msg.target) {
+            target = findClient(msg.target);
+            if (!target || target[1].room !== clientInfo.room) {
+              reply(ws, msg, { type: 'error', error: `No participant named ${msg.target} in ${clientInfo.room}`, timestamp: Date.now() });
+              return;
+            }
+            if (target[0] === ws) {
+              reply(ws, msg, { type: 'error', error: `Cannot ${msg.action} yourself`, timestamp: Date.now() });
+              return;
+            }
+          }
+
+          const control = {
+            type: 'control',
+            action: msg.action,
+            from: clientInfo.name,
+            target: msg.target || null,
+            reason: msg.reason || null,
+            room: clientInfo.room,
+            timestamp: Date.now()
+          };
+          if (target) {
+            target[0].send(JSON.stringify(control));
+          } else {
+            publish(control, clientInfo.room);
+          }
+          if (msg.action === 'pause') paused.set(clientInfo.room, control);
+          if (msg.action === 'resume') paused.delete(clientInfo.room);
+
+          const who = msg.target || 'everyone';
+          const announcements = {
+            shutdown: `asked ${who} to shut down`,
+            kick: `removed ${who}`,
+            pause: 'paused the room',
+            resume: 'resumed the room'
+          };
+          relay(clientInfo.room, {
+            type: 'system',
+            text: `${clientInfo.name} ${announcements[msg.action]}${msg.reason ? ' - ' + msg.reason : ''}`,
+            timestamp: Date.now()
+          });
+
+          if (msg.action === 'kick') {
+            target[1].kicked = true;
+            target[0].close(4000, 'kicked');
+          }
+          reply(ws, msg, { type: 'ack', timestamp: Date.now() });
+          console.log(`! ${clientInfo.name} ${msg.action} ${who}`);
+          return;
         }
 
         // Handle "leaving" notification - mark as intentional departure
@@ -155,19 +1046,108 @@ function createServer(port = PORT) {
           }
         }
 
-        // Handle "who" query - returns list of connected clients
+        // Handle "who" query - returns list of connected clients in the same room
         if (msg.type === 'who') {
           const online = [];
           for (const [, info] of clients.entries()) {
-            online.push({ name: info.name, type: info.type, joinedAt: info.joinedAt });
+            if (info.room !== clientInfo.room) continue;
+            online.push({ name: info.name, type: info.type, role: info.role, joinedAt: info.joinedAt });
           }
           ws.send(JSON.stringify({
             type: 'who_response',
+            room: clientInfo.room,
             clients: online,
             timestamp: Date.now()
           }));
         }
 
+        // Handle history paging - returns messages older than `before`
+        if (msg.type === 'history_request') {
+          const sinceId = typeof msg.sinceId === 'number' ? msg.sinceId : null;
+          const { messages, hasMore } = history.page(clientInfo.room, {
+            before: msg.before || 0,
+            beforeId: msg.beforeId || 0,
+            sinceId,
+            limit: clampLimit(msg.limit ?? backlog),
+            filter: m => canSee(clientInfo, m)
+          });
+          reply(ws, msg, {
+            type: 'history_response',
+            room: clientInfo.room,
+            sinceId,
+            messages,
+            hasMore,
+            timestamp: Date.now()
+          });
+        }
+
+        // Handle thread requests - the root of the thread `id` belongs to, and all its replies
+        if (msg.type === 'thread_request') {
+          const found = Number.isInteger(msg.id) ? history.get(clientInfo.room, msg.id) : null;
+          if (!found || !canSee(clientInfo, found)) {
+            reply(ws, msg, { type: 'error', error: `No message #${msg.id} in ${clientInfo.room}`, timestamp: Date.now() });
+            return;
+          }
+
+          const threadId = found.threadId || found.id;
+          reply(ws, msg, {
+            type: 'thread_response',
+            room: clientInfo.room,
+            threadId,
+            messages: history.thread(clientInfo.room, threadId, m => canSee(clientInfo, m)),
+            timestamp: Date.now()
+          });
+        }
+
+        // Handle transcript requests - every message in the room since `since`
+        // (default: since this server started), for exporting
+        if (msg.type === 'transcript_request') {
+          const since = typeof msg.since === 'number' ? msg.since : startedAt;
+          reply(ws, msg, {
+            type: 'transcript_response',
+            room: clientInfo.room,
+            since,
+            messages: history.load(clientInfo.room).filter(m => m.timestamp >= since && canSee(clientInfo, m)),
+            timestamp: Date.now()
+          });
+        }
+
+        // Handle searches over the room's history
+        if (msg.type === 'search_request') {
+          const invalid = ['text', 'sender', 'category'].find(key => msg[key] != null && typeof msg[key] !== 'string') ||
+            ['since', 'until', 'limit'].find(key => msg[key] != null && typeof msg[key] !== 'number');
+          if (invalid) {
+            reply(ws, msg, { type: 'error', error: `Invalid search: ${invalid} has the wrong type`, timestamp: Date.now() });
+            return;
+          }
+          const { messages, total } = history.search(clientInfo.room, {
+            text: msg.text || null,
+            from: msg.sender || null,
+            category: msg.category || null,
+            since: msg.since || 0,
+            until: msg.until || Infinity,
+            limit: clampLimit(msg.limit ?? DEFAULT_SEARCH_LIMIT) || DEFAULT_SEARCH_LIMIT,
+            filter: m => canSee(clientInfo, m)
+          });
+          reply(ws, msg, {
+            type: 'search_response',
+            room: clientInfo.room,
+            messages,
+            total,
+            timestamp: Date.now()
+          });
+          return;
+        }
+
+        // Handle session report requests
+        if (msg.type === 'report_request') {
+          reply(ws, msg, {
+            type: 'report_response',
+            report: sessionReport(),
+            timestamp: Date.now()
+          });
+        }
+
       } catch (err) {
         console.error('Invalid message:', err.message);
       }
@@ -181,22 +1161,29 @@ function createServer(port = PORT) {
 
         // Determine why they left
         let exitReason = 'disconnected';
-        if (code === 1000 || info.leaving) exitReason = 'left normally';
+        if (info.timedOut) exitReason = 'heartbeat timeout';
+        else if (info.kicked) exitReason = 'was removed';
+        else if (code === 1000 || info.leaving) exitReason = 'left normally';
         else if (code === 1001) exitReason = 'going away';
         else if (code === 1006) exitReason = 'connection lost';
-        else if (!info.alive) exitReason = 'heartbeat timeout';
 
         // Remove from clients BEFORE broadcasting
         clients.delete(ws);
 
-        broadcast(wss, clients, {
+        relay(info.room, {
           type: 'system',
           text: `${info.name} ${exitReason} (was here ${duration}s)`,
+          ...presenceEvent('left', info, exitReason),
+          duration,
           timestamp: Date.now()
         });
 
+        // Free anything they were holding so others can pick it up
+        releaseClaimsOf(info, info.room, exitReason);
+
         // Broadcast updated participant list
-        broadcastParticipants();
+        broadcastParticipants(info.room);
+        broadcastRooms();
 
         console.log(`- ${info.name} [${exitReason}] (code: ${code}, duration: ${duration}s)`);
       }
@@ -207,27 +1194,116 @@ function createServer(port = PORT) {
     });
   });
 
+  // So whoever owns the process can write a report before exiting
+  wss.report = sessionReport;
+
   return wss;
 }
 
-function broadcast(wss, clients, message) {
+/**
+ * Send a message to every registered client, or only those in `room` if given
+ */
+function broadcast(wss, clients, message, room = null) {
   const payload = JSON.stringify(message);
-  for (const client of clients.keys()) {
+  for (const [client, info] of clients.entries()) {
+    if (room && info.room !== room) continue;
     if (client.readyState === 1) {
       client.send(payload);
     }
   }
 }
 
+/**
+ * Structured fields for a join/leave announcement, so transcripts and reports
+ * don't have to parse its text
+ */
+function presenceEvent(event, info, reason) {
+  return { event, participant: info.name, participantType: info.type, ...(reason ? { reason } : {}) };
+}
+
+/**
+ * Structured fields for a task board announcement
+ */
+function taskEvent(by, task) {
+  return { event: 'task', participant: by, task: { id: task.id, title: task.title, state: task.state, assignee: task.assignee } };
+}
+
+/**
+ * Role for an agentType
+ */
+function roleOf(type) {
+  return ROLES.includes(type) ? type : 'agent';
+}
+
+/**
+ * Why a participant may not send a message, or null if it may
+ */
+function permissionError(info, msg) {
+  if (info.role === 'observer' && POSTING_TYPES.includes(msg.type)) {
+    return 'Observers can read the chatroom but not post';
+  }
+  if (info.role !== 'user' && USER_TYPES.includes(msg.type)) {
+    return `Only the user can send ${msg.type} commands`;
+  }
+  return null;
+}
+
+/**
+ * Send a response to a single client, echoing the request's id if it had one
+ */
+function reply(ws, request, message) {
+  if (ws.readyState !== 1) return;
+  if (request.requestId) message.requestId = request.requestId;
+  ws.send(JSON.stringify(message));
+}
+
+/**
+ * Whether a client may see a message (DMs are only visible to their two ends)
+ */
+function canSee(info, msg) {
+  if (msg.type !== 'dm') return true;
+  return msg.to === info.name || msg.from === info.name;
+}
+
+function clampLimit(limit) {
+  const n = parseInt(limit, 10);
+  if (isNaN(n) || n < 0) return 0;
+  return Math.min(n, MAX_HISTORY_PAGE);
+}
+
+/**
+ * Close a server from createServer, first leaving its session report next to
+ * the history (unless nobody took part). Used by whoever owns the process
+ * (server.js run directly, start.js) when it is told to stop.
+ */
+function stopServer(server, config) {
+  const report = server.report();
+  if (report.participants.length > 0) {
+    const result = writeReport(report, path.join(config.historyDir, REPORTS_DIR));
+    console.log(result.success ? `Session report: ${result.path}` : result.error);
+  }
+  server.close();
+}
+
 // Run if executed directly
 if (require.main === module) {
-  const server = createServer();
+  let loaded;
+  try {
+    loaded = loadConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  for (const warning of loaded.warnings) console.error(warning);
+  const server = createServer(loaded.config.port, { config: loaded.config });
 
-  process.on('SIGINT', () => {
+  const shutdown = () => {
     console.log('\nShutting down...');
-    server.close();
+    stopServer(server, loaded.config);
     process.exit(0);
-  });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
-module.exports = { createServer };
+module.exports = { createServer, stopServer };
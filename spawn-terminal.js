@@ -4,7 +4,7 @@
  * Opens a new terminal window with the chatroom UI
  */
 
-const { exec, spawn } = require('child_process');
+const { exec, execFile, spawn } = require('child_process');
 const path = require('path');
 const os = require('os');
 
@@ -36,30 +36,42 @@ function detectLinuxTerminal() {
 }
 
 /**
- * Open a new terminal window with a command
+ * Quote a path for a POSIX shell (bash, or Terminal's login shell on macOS)
  */
-function openTerminal(command, cwd, options = {}) {
+function shellQuote(s) {
+  return `'${String(s).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Open a new terminal window running `node <script>` in `cwd`. Paths are
+ * quoted for the shell each platform runs them through, so they may
+ * contain spaces.
+ */
+function openTerminal(script, cwd, options = {}) {
   const platform = process.platform;
   const title = options.title || 'Agent Chatroom';
+  // The POSIX shell line; Windows builds its own below
+  const command = `cd ${shellQuote(cwd)} && node ${shellQuote(script)}`;
 
   return new Promise((resolve, reject) => {
     try {
       if (platform === 'darwin') {
-        // macOS
-        const script = `
+        // macOS: no shell in between, just the AppleScript string escapes
+        const appleScript = `
           tell application "Terminal"
             activate
-            do script "cd '${cwd}' && ${command}"
+            do script "${command.replace(/[\\"]/g, '\\$&')}"
           end tell
         `;
-        exec(`osascript -e '${script}'`, (err) => {
+        execFile('osascript', ['-e', appleScript], (err) => {
           if (err) reject(err);
           else resolve();
         });
       }
       else if (platform === 'win32') {
-        // Windows
-        const cmd = `start "${title}" cmd /k "cd /d ${cwd} && ${command}"`;
+        // Windows: paths can't contain double quotes, and cmd /k drops only
+        // the outermost pair
+        const cmd = `start "${title}" cmd /k "cd /d "${cwd}" && node "${script}""`;
         exec(cmd, { shell: true }, (err) => {
           if (err) reject(err);
           else resolve();
@@ -72,23 +84,24 @@ function openTerminal(command, cwd, options = {}) {
 
         switch (terminal) {
           case 'gnome-terminal':
-            args = ['--', 'bash', '-c', `cd '${cwd}' && ${command}; exec bash`];
+            args = ['--', 'bash', '-c', `${command}; exec bash`];
             break;
           case 'konsole':
-            args = ['-e', 'bash', '-c', `cd '${cwd}' && ${command}; exec bash`];
+            args = ['-e', 'bash', '-c', `${command}; exec bash`];
             break;
           case 'xfce4-terminal':
           case 'mate-terminal':
-            args = ['-e', `bash -c "cd '${cwd}' && ${command}; exec bash"`];
+            // -e takes one string, which the terminal splits like a shell
+            args = ['-e', `bash -c ${shellQuote(`${command}; exec bash`)}`];
             break;
           case 'alacritty':
-            args = ['-e', 'bash', '-c', `cd '${cwd}' && ${command}; exec bash`];
+            args = ['-e', 'bash', '-c', `${command}; exec bash`];
             break;
           case 'kitty':
-            args = ['bash', '-c', `cd '${cwd}' && ${command}; exec bash`];
+            args = ['bash', '-c', `${command}; exec bash`];
             break;
           default:
-            args = ['-e', `cd '${cwd}' && ${command}`];
+            args = ['-e', command];
         }
 
         const proc = spawn(terminal, args, {
@@ -105,23 +118,21 @@ function openTerminal(command, cwd, options = {}) {
 }
 
 /**
- * Open the chatroom UI in a new terminal
+ * Open the chatroom UI in a new terminal. It runs in the current directory
+ * so it picks up the project's .chatroom.json.
  */
 async function openChatroomUI(chatroomPath) {
   const uiPath = chatroomPath || __dirname;
-  const command = 'node ui.js';
-  await openTerminal(command, uiPath, { title: 'Agent Chatroom' });
+  await openTerminal(path.join(uiPath, 'ui.js'), process.cwd(), { title: 'Agent Chatroom' });
 }
 
 // Run if executed directly
 if (require.main === module) {
   const scriptPath = process.argv[2];
   if (scriptPath) {
-    // If a script path is provided, run it in a new terminal
-    const path = require('path');
-    const dir = path.dirname(scriptPath);
-    const script = path.basename(scriptPath);
-    openTerminal(`node ${script}`, dir, { title: 'Agent Chatroom' }).catch(console.error);
+    // If a script path is provided, run it in a new terminal (from the
+    // current directory, which has the project's .chatroom.json)
+    openTerminal(path.resolve(scriptPath), process.cwd(), { title: 'Agent Chatroom' }).catch(console.error);
   } else {
     openChatroomUI().catch(console.error);
   }
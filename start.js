@@ -2,14 +2,23 @@
 /**
  * Agent Chatroom - Orchestrator
  * Starts server, opens UI, and optionally the MCP server
+ *
+ *   agent-chatroom [--no-ui]
+ *   agent-chatroom export [--room <room>] [--format md|json|html] [--out <file>] [--since <date>]
  */
 
-const { createServer } = require('./server');
+const { createServer, stopServer } = require('./server');
 const { openChatroomUI } = require('./spawn-terminal');
+const { loadConfig } = require('./config');
+const { readToken, tokenFile } = require('./auth');
+const { createHistory, ROOM_NAME_PATTERN } = require('./history');
+const { exportTranscript, EXPORT_FORMATS } = require('./transcript');
+const { loadCategories } = require('./categories');
 const net = require('net');
 const path = require('path');
 
-const DEFAULT_PORT = 3030;
+// The server this process started (null if one was already running), and its settings
+let running = null; // { server, config }
 
 /**
  * Check if a port is in use
@@ -30,7 +39,8 @@ function isPortInUse(port) {
  * Start the chatroom (server + UI)
  */
 async function start(options = {}) {
-  const port = options.port || DEFAULT_PORT;
+  const config = options.config || loadConfig().config;
+  const port = options.port || config.port;
   const openUI = options.openUI !== false;
   const chatroomPath = options.path || __dirname;
 
@@ -43,7 +53,10 @@ async function start(options = {}) {
     console.log(`Server already running on port ${port}`);
   } else {
     // Start server
-    createServer(port);
+    const server = createServer(port, { config });
+    running = { server, config };
+    // The token file is written once the server is listening
+    await new Promise(resolve => server.once('listening', resolve));
     console.log(`Server started on port ${port}`);
   }
 
@@ -56,16 +69,51 @@ async function start(options = {}) {
 
   console.log('\nChatroom ready!');
   console.log(`  Server: ws://localhost:${port}`);
+  console.log(`  Web UI: http://localhost:${port}/#token=${readToken(tokenFile(port, config.tokenFile)) || ''}`);
   console.log('  Press Ctrl+C to stop server\n');
 
   return { port };
 }
 
+/**
+ * Export a room's transcript straight from the history files (no server
+ * needed). Returns the exportTranscript() result.
+ */
+function exportRoom(options = {}) {
+  const config = options.config || loadConfig().config;
+  const room = options.room || config.room;
+  if (!ROOM_NAME_PATTERN.test(room)) {
+    return { success: false, error: `Invalid room name: ${room}` };
+  }
+  const since = options.since ? Date.parse(options.since) : 0;
+  if (Number.isNaN(since)) {
+    return { success: false, error: `Invalid --since date: ${options.since}` };
+  }
+
+  const messages = createHistory(config.historyDir).load(room).filter(m => m.timestamp >= since);
+  const { categories } = loadCategories(config.categories);
+  return exportTranscript(room, messages, { format: options.format, file: options.out, categories });
+}
+
+/**
+ * Parse `--flag value` pairs
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--(\w+)$/);
+    if (!match || i + 1 >= args.length) return { error: `Unexpected argument: ${args[i]}` };
+    flags[match[1]] = args[++i];
+  }
+  return { flags };
+}
+
 /**
  * Stop the chatroom
  */
 function stop() {
   console.log('Stopping chatroom...');
+  if (running) stopServer(running.server, running.config);
   process.exit(0);
 }
 
@@ -78,7 +126,28 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const noUI = args.includes('--no-ui');
 
-  start({ openUI: !noUI }).catch(console.error);
+  let loaded;
+  try {
+    loaded = loadConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  for (const warning of loaded.warnings) console.error(warning);
+
+  if (args[0] === 'export') {
+    const { flags, error } = parseFlags(args.slice(1));
+    const result = error ? { success: false, error } : exportRoom({ ...flags, config: loaded.config });
+    if (!result.success) {
+      console.error(result.error);
+      console.error(`Usage: agent-chatroom export [--room <room>] [--format ${EXPORT_FORMATS.join('|')}] [--out <file>] [--since <date>]`);
+      process.exit(1);
+    }
+    console.log(`Exported ${result.messages} messages to ${result.path}`);
+    process.exit(0);
+  }
+
+  start({ openUI: !noUI, config: loaded.config }).catch(console.error);
 }
 
-module.exports = { start, stop, isPortInUse };
+module.exports = { start, stop, isPortInUse, exportRoom };
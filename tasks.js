@@ -0,0 +1,120 @@
+/**
+ * Agent Chatroom - Task Board
+ * Per-room list of work items that move through todo/in-progress/blocked/done
+ */
+
+const TASK_STATES = ['todo', 'in-progress', 'blocked', 'done'];
+
+/**
+ * Create an in-memory task board. Task ids are sequential numbers per room.
+ */
+function createTaskBoard() {
+  const boards = new Map(); // room -> { nextId, tasks: Map(id -> task) }
+
+  function board(room) {
+    if (!boards.has(room)) {
+      boards.set(room, { nextId: 1, tasks: new Map() });
+    }
+    return boards.get(room);
+  }
+
+  /**
+   * Add a task to a room's board
+   */
+  function create(room, { title, description = null, assignee = null }, createdBy) {
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return { success: false, error: 'title is required' };
+    }
+
+    const b = board(room);
+    const now = Date.now();
+    const task = {
+      id: b.nextId++,
+      title: title.trim(),
+      description,
+      state: 'todo',
+      assignee,
+      note: null,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+    b.tasks.set(task.id, task);
+    return { success: true, task };
+  }
+
+  /**
+   * Change a task's state, assignee and/or note. Returns the list of fields
+   * that actually changed so callers can announce them.
+   */
+  function update(room, id, { state, assignee, note }) {
+    const task = board(room).tasks.get(Number(id));
+    if (!task) {
+      return { success: false, error: `No task #${id}` };
+    }
+    if (state !== undefined && !TASK_STATES.includes(state)) {
+      return { success: false, error: `Invalid state "${state}" (expected one of: ${TASK_STATES.join(', ')})` };
+    }
+
+    const changed = [];
+    if (state !== undefined && state !== task.state) {
+      task.state = state;
+      changed.push('state');
+    }
+    if (assignee !== undefined && assignee !== task.assignee) {
+      task.assignee = assignee || null;
+      changed.push('assignee');
+    }
+    if (note !== undefined && note !== task.note) {
+      task.note = note || null;
+      changed.push('note');
+    }
+    if (changed.length > 0) {
+      task.updatedAt = Date.now();
+    }
+    return { success: true, task, changed };
+  }
+
+  /**
+   * Assign a task to `agent` and start it. Without an id, takes the oldest todo
+   * task already assigned to `agent`, else the oldest unassigned one.
+   * Fails if someone else is already working on it.
+   */
+  function pick(room, id, agent) {
+    let task;
+    if (id !== undefined && id !== null) {
+      task = board(room).tasks.get(Number(id));
+      if (!task) {
+        return { success: false, error: `No task #${id}` };
+      }
+    } else {
+      const todo = list(room, { state: 'todo' });
+      task = todo.find(t => t.assignee === agent) || todo.find(t => !t.assignee);
+      if (!task) {
+        return { success: false, error: 'No todo tasks for you' };
+      }
+    }
+
+    if (task.assignee && task.assignee !== agent && task.state === 'in-progress') {
+      return { success: false, error: `Task #${task.id} is already in progress by ${task.assignee}`, task };
+    }
+    if (task.state === 'done') {
+      return { success: false, error: `Task #${task.id} is already done`, task };
+    }
+
+    return update(room, task.id, { state: 'in-progress', assignee: agent });
+  }
+
+  /**
+   * Tasks in a room, in creation order, optionally filtered by state/assignee
+   */
+  function list(room, { state, assignee } = {}) {
+    return [...board(room).tasks.values()]
+      .filter(t => !state || t.state === state)
+      .filter(t => !assignee || t.assignee === assignee);
+  }
+
+  return { create, update, pick, list };
+}
+
+module.exports = { createTaskBoard, TASK_STATES };
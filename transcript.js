@@ -0,0 +1,385 @@
+/**
+ * Agent Chatroom - Transcripts
+ * Turns a room's messages into a session transcript (participants, join and
+ * leave events, discoveries grouped by category, questions paired with their
+ * answers, and the full timeline) and writes it as Markdown, JSON or a
+ * self-contained HTML page. Used by the Terminal UI's /export, the
+ * chatroom_export MCP tool and `agent-chatroom export`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BUILTIN_CATEGORIES } = require('./categories');
+
+const EXPORT_FORMATS = ['md', 'json', 'html'];
+
+/**
+ * Collect what a transcript shows from a room's messages (oldest first).
+ * `categories` (name -> { icon, description }) orders and labels the
+ * discovery groups; categories not in it come last.
+ */
+function buildTranscript(room, messages, { categories = BUILTIN_CATEGORIES, exportedAt = Date.now() } = {}) {
+  const participants = new Map(); // name -> { name, type, joinedAt, leftAt, leftReason, messages }
+  const events = [];
+  const discoveries = new Map(); // category -> messages
+  const questions = new Map(); // questionId -> { question, answer }
+
+  const participant = (name, type, timestamp) => {
+    if (!participants.has(name)) {
+      participants.set(name, { name, type: type || null, joinedAt: timestamp, leftAt: null, leftReason: null, messages: 0 });
+    }
+    const p = participants.get(name);
+    if (!p.type && type) p.type = type;
+    return p;
+  };
+
+  for (const m of messages) {
+    if (m.type === 'system') {
+      if (m.event !== 'joined' && m.event !== 'left') continue;
+      const p = participant(m.participant, m.participantType, m.timestamp);
+      if (m.event === 'joined') {
+        p.leftAt = null;
+        p.leftReason = null;
+      } else {
+        p.leftAt = m.timestamp;
+        p.leftReason = m.reason || null;
+      }
+      events.push({ timestamp: m.timestamp, event: m.event, participant: m.participant, reason: m.reason || null });
+      continue;
+    }
+
+    participant(m.from, m.agentType, m.timestamp).messages++;
+    if (m.type === 'discovery') {
+      if (!discoveries.has(m.category)) discoveries.set(m.category, []);
+      discoveries.get(m.category).push(m);
+    } else if (m.type === 'question') {
+      questions.set(m.questionId, { question: m, answer: null });
+    } else if (m.type === 'answer' && questions.has(m.questionId)) {
+      questions.get(m.questionId).answer = m;
+    }
+  }
+
+  const order = Object.keys(categories);
+  const rank = name => (order.includes(name) ? order.indexOf(name) : order.length);
+  const grouped = [...discoveries.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b) || String(a).localeCompare(String(b)))
+    .map(([category, list]) => ({
+      category,
+      icon: (categories[category] && categories[category].icon) || `[${String(category).toUpperCase()}]`,
+      description: (categories[category] && categories[category].description) || '',
+      messages: list
+    }));
+
+  return {
+    room,
+    exportedAt,
+    from: messages.length ? messages[0].timestamp : null,
+    to: messages.length ? messages[messages.length - 1].timestamp : null,
+    participants: [...participants.values()],
+    events,
+    discoveries: grouped,
+    questions: [...questions.values()],
+    messages
+  };
+}
+
+/**
+ * A transcript as text in one of EXPORT_FORMATS
+ */
+function renderTranscript(transcript, format) {
+  if (format === 'json') return JSON.stringify(transcript, null, 2) + '\n';
+  if (format === 'html') return renderHtml(transcript);
+  return renderMarkdown(transcript);
+}
+
+/**
+ * Build and write a transcript. `file` defaults to a name with the room and
+ * time in the current directory. Returns { success, path, messages } or
+ * { success: false, error }.
+ */
+function exportTranscript(room, messages, { format = 'md', file = null, categories } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { success: false, error: `Unknown format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})` };
+  }
+  const transcript = buildTranscript(room, messages, { categories });
+  const target = path.resolve(file || transcriptFileName(room, format, transcript.exportedAt));
+  try {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, renderTranscript(transcript, format));
+  } catch (err) {
+    return { success: false, error: `Cannot write ${target}: ${err.message}` };
+  }
+  return { success: true, path: target, messages: messages.length };
+}
+
+/**
+ * e.g. chatroom-default-2026-10-19-1530.md
+ */
+function transcriptFileName(room, format, timestamp = Date.now()) {
+  const d = new Date(timestamp);
+  const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+  return `chatroom-${room}-${stamp}.${format}`;
+}
+
+// --- Formatting helpers ---
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatTime(ts) {
+  const d = new Date(ts);
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function formatDate(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${formatTime(ts)}`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * How long a participant was around: until they left, or until the transcript ends
+ */
+function presence(p, transcript) {
+  const end = p.leftAt || transcript.to || p.joinedAt;
+  return formatDuration(end - p.joinedAt);
+}
+
+/**
+ * Who a message is from, and to, in one phrase
+ */
+function sender(m) {
+  if (m.type === 'dm') return `${m.from} → ${m.to} (DM)`;
+  if ((m.type === 'question' || m.type === 'answer') && m.to) return `${m.from} → ${m.to}`;
+  return m.from;
+}
+
+function attachmentLabel(a) {
+  if (a.kind === 'file') {
+    const lines = a.startLine ? `:${a.startLine}${a.endLine && a.endLine !== a.startLine ? '-' + a.endLine : ''}` : '';
+    return `file ${a.path}${lines}`;
+  }
+  return a.kind === 'code' ? `code${a.language ? ' (' + a.language + ')' : ''}` : `diff${a.path ? ' ' + a.path : ''}`;
+}
+
+// --- Markdown ---
+
+function renderMarkdown(t) {
+  const lines = [`# Chatroom transcript: ${t.room}`, ''];
+  lines.push(`Exported ${formatDate(t.exportedAt)}. ${t.messages.length} messages` +
+    (t.from ? `, ${formatDate(t.from)} to ${formatDate(t.to)}.` : '.'), '');
+
+  lines.push('## Participants', '');
+  if (t.participants.length === 0) lines.push('_None._');
+  else {
+    lines.push('| Name | Type | Joined | Left | Present | Messages |', '|------|------|--------|------|---------|----------|');
+    for (const p of t.participants) {
+      const left = p.leftAt ? `${formatTime(p.leftAt)} (${p.leftReason || 'left'})` : '-';
+      lines.push(`| ${mdCell(p.name)} | ${mdCell(p.type || '')} | ${formatTime(p.joinedAt)} | ${mdCell(left)} | ${presence(p, t)} | ${p.messages} |`);
+    }
+  }
+  lines.push('');
+
+  lines.push('## Joins and leaves', '');
+  if (t.events.length === 0) lines.push('_None._');
+  for (const e of t.events) {
+    lines.push(`- \`${formatTime(e.timestamp)}\` ${e.participant} ${e.event}${e.reason ? ` (${e.reason})` : ''}`);
+  }
+  lines.push('');
+
+  lines.push('## Discoveries', '');
+  if (t.discoveries.length === 0) lines.push('_None._', '');
+  for (const group of t.discoveries) {
+    lines.push(`### ${group.icon} ${group.category} (${group.messages.length})`, '');
+    if (group.description) lines.push(`_${group.description}_`, '');
+    for (const m of group.messages) lines.push(...mdMessage(m, `**${m.from}**: `));
+    lines.push('');
+  }
+
+  lines.push('## Questions and answers', '');
+  if (t.questions.length === 0) lines.push('_None._', '');
+  for (const { question: q, answer: a } of t.questions) {
+    lines.push(`- **Q** \`${formatTime(q.timestamp)}\` ${sender(q)}: ${mdText(q.text)}`);
+    lines.push(a
+      ? `  **A** \`${formatTime(a.timestamp)}\` ${a.from}: ${mdText(a.text)}`
+      : '  _Unanswered._');
+  }
+  if (t.questions.length) lines.push('');
+
+  lines.push('## Timeline', '');
+  for (const m of t.messages) {
+    if (m.type === 'system') {
+      lines.push(`- \`${formatTime(m.timestamp)}\` _${mdText(m.text)}_`);
+      continue;
+    }
+    const reply = m.replyTo ? `↳ #${m.replyTo} ` : '';
+    const label = m.type === 'discovery' ? ` ${categoryIcon(t, m.category)}`
+      : m.type === 'question' ? ' asked'
+        : m.type === 'answer' ? ' answered' : '';
+    lines.push(...mdMessage(m, `${reply}**${sender(m)}**${label}: `));
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+function mdMessage(m, prefix) {
+  const lines = [`- \`${formatTime(m.timestamp)}\` #${m.id} ${prefix}${mdText(m.text)}`];
+  for (const a of m.attachments || []) {
+    lines.push(`  - ${attachmentLabel(a)}`);
+    if (a.kind === 'file') continue;
+    const fence = '`'.repeat(Math.max(3, longestRun(a.content, '`') + 1));
+    lines.push('', `  ${fence}${a.kind === 'diff' ? 'diff' : (a.language || '')}`);
+    lines.push(...a.content.split('\n').map(l => `  ${l}`), `  ${fence}`, '');
+  }
+  return lines;
+}
+
+function categoryIcon(t, category) {
+  const group = t.discoveries.find(g => g.category === category);
+  return group ? group.icon : `[${String(category).toUpperCase()}]`;
+}
+
+/**
+ * Message text on one Markdown list line
+ */
+function mdText(text) {
+  return String(text || '').replace(/\r?\n/g, ' ');
+}
+
+function mdCell(text) {
+  return mdText(text).replace(/\|/g, '\\|');
+}
+
+function longestRun(text, char) {
+  let longest = 0;
+  let run = 0;
+  for (const c of text) {
+    run = c === char ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+}
+
+// --- HTML ---
+
+const HTML_STYLE = `
+body { font: 14px/1.5 system-ui, sans-serif; max-width: 60em; margin: 2em auto; padding: 0 1em; color: #222; }
+h1 { font-size: 1.5em; } h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.2em; margin-top: 2em; }
+table { border-collapse: collapse; } th, td { border: 1px solid #ddd; padding: 0.3em 0.6em; text-align: left; }
+ul { padding-left: 1.2em; } li { margin: 0.3em 0; }
+.time, .id, .muted { color: #888; font-family: monospace; } .from { font-weight: bold; }
+.system { color: #888; font-style: italic; } .dm { color: #8a3ab9; } .q { color: #b58900; } .a { color: #2a8a2a; }
+pre { background: #f6f8fa; border: 1px solid #ddd; padding: 0.5em; overflow-x: auto; }
+.add { color: #2a8a2a; } .del { color: #c0392b; } .hunk { color: #2a7ab0; }
+`;
+
+function renderHtml(t) {
+  const parts = [];
+  parts.push(`<h1>Chatroom transcript: ${esc(t.room)}</h1>`);
+  parts.push(`<p class="muted">Exported ${esc(formatDate(t.exportedAt))}. ${t.messages.length} messages` +
+    (t.from ? `, ${esc(formatDate(t.from))} to ${esc(formatDate(t.to))}.` : '.') + '</p>');
+
+  parts.push('<h2>Participants</h2>');
+  if (t.participants.length === 0) parts.push('<p><em>None.</em></p>');
+  else {
+    parts.push('<table><tr><th>Name</th><th>Type</th><th>Joined</th><th>Left</th><th>Present</th><th>Messages</th></tr>');
+    for (const p of t.participants) {
+      const left = p.leftAt ? `${formatTime(p.leftAt)} (${p.leftReason || 'left'})` : '-';
+      parts.push(`<tr><td>${esc(p.name)}</td><td>${esc(p.type || '')}</td><td>${formatTime(p.joinedAt)}</td>` +
+        `<td>${esc(left)}</td><td>${presence(p, t)}</td><td>${p.messages}</td></tr>`);
+    }
+    parts.push('</table>');
+  }
+
+  parts.push('<h2>Joins and leaves</h2>');
+  parts.push(t.events.length === 0 ? '<p><em>None.</em></p>' : '<ul>' + t.events.map(e =>
+    `<li><span class="time">${formatTime(e.timestamp)}</span> ${esc(e.participant)} ${e.event}${e.reason ? ` (${esc(e.reason)})` : ''}</li>`
+  ).join('') + '</ul>');
+
+  parts.push('<h2>Discoveries</h2>');
+  if (t.discoveries.length === 0) parts.push('<p><em>None.</em></p>');
+  for (const group of t.discoveries) {
+    parts.push(`<h3>${esc(group.icon)} ${esc(group.category)} (${group.messages.length})</h3>`);
+    if (group.description) parts.push(`<p class="muted">${esc(group.description)}</p>`);
+    parts.push('<ul>' + group.messages.map(m => htmlMessage(m, `<span class="from">${esc(m.from)}</span>: `)).join('') + '</ul>');
+  }
+
+  parts.push('<h2>Questions and answers</h2>');
+  parts.push(t.questions.length === 0 ? '<p><em>None.</em></p>' : '<ul>' + t.questions.map(({ question: q, answer: a }) =>
+    `<li><span class="q">Q</span> <span class="time">${formatTime(q.timestamp)}</span> <span class="from">${esc(sender(q))}</span>: ${esc(q.text)}<br>` +
+    (a
+      ? `<span class="a">A</span> <span class="time">${formatTime(a.timestamp)}</span> <span class="from">${esc(a.from)}</span>: ${esc(a.text)}`
+      : '<em>Unanswered.</em>') + '</li>'
+  ).join('') + '</ul>');
+
+  parts.push('<h2>Timeline</h2><ul>');
+  for (const m of t.messages) {
+    if (m.type === 'system') {
+      parts.push(`<li><span class="time">${formatTime(m.timestamp)}</span> <span class="system">${esc(m.text)}</span></li>`);
+      continue;
+    }
+    const reply = m.replyTo ? `<span class="muted">↳ #${m.replyTo}</span> ` : '';
+    const cls = m.type === 'dm' ? 'dm' : m.type === 'question' ? 'q' : m.type === 'answer' ? 'a' : '';
+    const label = m.type === 'discovery' ? ` ${esc(categoryIcon(t, m.category))}`
+      : m.type === 'question' ? ' asked'
+        : m.type === 'answer' ? ' answered' : '';
+    parts.push(htmlMessage(m, `${reply}<span class="from ${cls}">${esc(sender(m))}</span>${label}: `));
+  }
+  parts.push('</ul>');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Chatroom transcript: ${esc(t.room)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+function htmlMessage(m, prefix) {
+  let html = `<li><span class="time">${formatTime(m.timestamp)}</span> <span class="id">#${m.id}</span> ${prefix}${esc(m.text)}`;
+  for (const a of m.attachments || []) {
+    html += `<div class="muted">${esc(attachmentLabel(a))}</div>`;
+    if (a.kind === 'diff') {
+      html += '<pre>' + a.content.split('\n').map(line => {
+        const cls = line.startsWith('@@') ? 'hunk'
+          : line.startsWith('+') && !line.startsWith('+++') ? 'add'
+            : line.startsWith('-') && !line.startsWith('---') ? 'del' : '';
+        return cls ? `<span class="${cls}">${esc(line)}</span>` : esc(line);
+      }).join('\n') + '</pre>';
+    } else if (a.kind === 'code') {
+      html += `<pre>${esc(a.content)}</pre>`;
+    }
+  }
+  return html + '</li>';
+}
+
+function esc(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  buildTranscript,
+  renderTranscript,
+  exportTranscript,
+  transcriptFileName,
+  formatTime,
+  formatDate,
+  formatDuration,
+  EXPORT_FORMATS
+};
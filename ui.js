@@ -11,10 +11,30 @@ const WebSocket = require('ws');
 const { spawn } = require('child_process');
 const path = require('path');
 const net = require('net');
+const { ROOM_NAME_PATTERN } = require('./history');
+const { loadConfig } = require('./config');
+const { TASK_STATES } = require('./tasks');
+const { loadCategories } = require('./categories');
+const { exportTranscript, EXPORT_FORMATS } = require('./transcript');
+const { renderReport } = require('./report');
+const { authHeaders, connectionError, clientTokenFile } = require('./auth');
 
-const PORT = parseInt(process.env.CHATROOM_PORT || '3030', 10);
-const SERVER_URL = process.env.CHATROOM_URL || `ws://localhost:${PORT}`;
-const USER_NAME = process.env.CHATROOM_USER || 'user';
+// Settings from .chatroom.json / the environment, checked before blessed takes
+// over the terminal so a bad value is reported readably
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const CONFIG = loaded.config;
+
+const PORT = CONFIG.port;
+const SERVER_URL = CONFIG.url;
+const USER_NAME = CONFIG.user;
+const INITIAL_ROOM = CONFIG.room;
+const KEY_HELP = 'Tab:focus | PgUp/Dn:scroll | Ctrl+A:questions | Ctrl+B:board | Ctrl+N/P:room | Ctrl+C:exit';
 
 // Server process handle
 let serverProcess = null;
@@ -76,13 +96,27 @@ const COLORS = {
   observer: 'blue'
 };
 
-const CATEGORY_ICONS = {
-  found: '[FOUND]',
-  claiming: '[CLAIM]',
-  completed: '[DONE]',
-  blocked: '[BLOCK]'
+// Same rule the server uses to find `@name` / `@type` mentions
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]*\w)/g;
+
+// Attachments show this many lines inline; /expand shows the rest
+const ATTACHMENT_PREVIEW_LINES = 6;
+
+// Just enough syntax awareness to make snippets readable in a terminal
+const CODE_KEYWORDS = new Set((
+  'async await break case catch class const continue def default defer do elif else enum export extends ' +
+  'false fn for from func function go if impl import in interface let match new nil None null package pass ' +
+  'private protected public return self static struct switch this throw true try type typeof var while with yield'
+).split(' '));
+const HASH_COMMENT_LANGUAGES = ['py', 'python', 'sh', 'bash', 'shell', 'zsh', 'rb', 'ruby', 'yaml', 'yml', 'toml', 'r', 'perl', 'dockerfile', 'makefile'];
+const CODE_TOKENS = {
+  slash: /(\/\/.*$)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`)|\b(\d+(?:\.\d+)?)\b|\b([A-Za-z_]\w*)\b/g,
+  hash: /(#.*$)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|\b(\d+(?:\.\d+)?)\b|\b([A-Za-z_]\w*)\b/g
 };
 
+// Discovery categories: the built-ins plus any the project defines in .chatroom.json
+const { categories: CATEGORIES, warnings: categoryWarnings } = loadCategories(CONFIG.categories);
+
 function formatTime(ts) {
   const d = new Date(ts);
   return d.toLocaleTimeString('en-US', {
@@ -107,18 +141,27 @@ const header = blessed.box({
   left: 0,
   width: '100%',
   height: 3,
-  content: ' {cyan-fg}{bold}Agent Chatroom{/bold}{/cyan-fg} | {red-fg}Connecting...{/red-fg} | Tab:focus | PgUp/Dn:scroll | Ctrl+C:exit',
+  content: ` {cyan-fg}{bold}Agent Chatroom{/bold}{/cyan-fg} | {red-fg}Connecting...{/red-fg} | ${KEY_HELP}`,
   tags: true,
   border: { type: 'line' },
   style: { border: { fg: 'cyan' } }
 });
 
+// Room tabs (one line under the header)
+const roomTabs = blessed.box({
+  top: 3,
+  left: 0,
+  width: '100%',
+  height: 1,
+  tags: true
+});
+
 // Message log (left side, 75% width)
 const messageLog = blessed.log({
-  top: 3,
+  top: 4,
   left: 0,
   width: '75%',
-  height: '100%-6',
+  height: '100%-7',
   tags: true,
   border: { type: 'line' },
   scrollable: true,
@@ -139,12 +182,49 @@ const messageLog = blessed.log({
   }
 });
 
-// Participant panel (right side, 25% width)
+// Task board (same area as the message log, hidden until toggled)
+const boardBox = blessed.box({
+  top: 4,
+  left: 0,
+  width: '75%',
+  height: '100%-7',
+  label: ' Task board (Ctrl+B: back to chat) ',
+  tags: true,
+  hidden: true,
+  border: { type: 'line' },
+  style: {
+    border: { fg: 'cyan' },
+    label: { fg: 'cyan', bold: true }
+  }
+});
+
+const STATE_COLORS = {
+  'todo': 'white',
+  'in-progress': 'blue',
+  'blocked': 'red',
+  'done': 'green'
+};
+
+// One column per task state
+const boardColumns = TASK_STATES.map((state, i) => blessed.box({
+  parent: boardBox,
+  top: 0,
+  left: `${i * 25}%`,
+  width: '25%',
+  height: '100%-2',
+  tags: true,
+  scrollable: true,
+  mouse: true,
+  border: { type: 'line' },
+  style: { border: { fg: STATE_COLORS[state] } }
+}));
+
+// Participant panel (right side, 25% width, top half)
 const participantBox = blessed.box({
-  top: 3,
+  top: 4,
   right: 0,
   width: '25%',
-  height: '100%-6',
+  height: '50%-4',
   label: ' Participants ',
   tags: true,
   border: { type: 'line' },
@@ -154,6 +234,43 @@ const participantBox = blessed.box({
   }
 });
 
+// Open questions panel (right side, bottom half)
+const questionBox = blessed.list({
+  top: '50%',
+  right: 0,
+  width: '25%',
+  height: '50%-3',
+  label: ' Questions (age/left) ',
+  tags: true,
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: 'line' },
+  style: {
+    border: { fg: 'yellow' },
+    label: { fg: 'yellow', bold: true },
+    selected: { inverse: true }
+  }
+});
+
+// Thread side view (right half, over the side panels; hidden until opened)
+const threadBox = blessed.box({
+  top: 4,
+  right: 0,
+  width: '50%',
+  height: '100%-7',
+  tags: true,
+  hidden: true,
+  scrollable: true,
+  alwaysScroll: true,
+  mouse: true,
+  border: { type: 'line' },
+  style: {
+    border: { fg: 'magenta' },
+    label: { fg: 'magenta', bold: true }
+  }
+});
+
 // Input box
 const inputBox = blessed.textbox({
   bottom: 0,
@@ -166,8 +283,12 @@ const inputBox = blessed.textbox({
 });
 
 screen.append(header);
+screen.append(roomTabs);
 screen.append(messageLog);
+screen.append(boardBox);
 screen.append(participantBox);
+screen.append(questionBox);
+screen.append(threadBox);
 screen.append(inputBox);
 
 // Visual focus indicator
@@ -178,21 +299,66 @@ messageLog.on('focus', () => {
 });
 
 inputBox.on('focus', () => {
-  inputBox.style.border.fg = 'blue';
+  inputBox.style.border.fg = answering ? 'yellow' : 'blue';
+  messageLog.style.border.fg = 'gray';
+  screen.render();
+});
+
+questionBox.on('focus', () => {
+  questionBox.style.border.fg = 'cyan';
+  inputBox.style.border.fg = 'gray';
   messageLog.style.border.fg = 'gray';
   screen.render();
 });
 
+questionBox.on('blur', () => {
+  questionBox.style.border.fg = 'yellow';
+  screen.render();
+});
+
 // State
 let ws = null;
 let connected = false;
+let userName = USER_NAME;   // name the server registered us under
+let registered = false;     // reconnects take over our old name instead of getting a suffix
+
+// History paging state
+let oldestId = 0;           // id of the oldest message shown in the log
+let newestId = 0;           // id of the newest message shown (skip replays of these on reconnect)
+let catchingUp = null;      // live messages held back while missed ones are fetched
+let recentMessages = [];    // latest conversation messages shown, to pick a thread from
+let hasMoreHistory = false;
+let historyPending = false;
+let pendingExport = null;   // { format, file } waiting for a transcript_response
+
+// Search state
+let search = null;          // { query, messages (newest first), total, selected } from the last /search
+let pendingJump = null;     // search hit to jump to once older history reaches it
+let jumpMark = null;        // { line, marked } - the log line currently marked as a hit (plain text)
+
+// Room state
+let currentRoom = INITIAL_ROOM;
+let rooms = [];             // [{ name, participants }] from the server
+let roomPaused = false;     // whether the current room is paused (/pause, /resume)
+let participantList = [];   // [{ name, type, status, task }] in the current room
+
+// Question state
+let openQuestions = [];     // [{ questionId, from, to, text, askedAt, expiresAt }] from the server
+let answering = null;       // question the next submitted input answers
+let popup = null;           // modal list currently holding focus, if any
+
+// Thread state
+let threadView = null;      // { id, messages } of the thread open in the side view
+
+// Task board state
+let boardTasks = [];        // tasks from the server's latest tasks_update
 
 function updateStatus(isConnected) {
   connected = isConnected;
   const status = isConnected
     ? '{green-fg}Connected{/green-fg}'
     : '{red-fg}Disconnected{/red-fg}';
-  header.setContent(` {cyan-fg}{bold}Agent Chatroom{/bold}{/cyan-fg} | ${status} | Tab:focus | PgUp/Dn:scroll | Ctrl+C:exit`);
+  header.setContent(` {cyan-fg}{bold}Agent Chatroom{/bold}{/cyan-fg} | ${status} | ${KEY_HELP}`);
   screen.render();
 }
 
@@ -216,6 +382,7 @@ function formatStatusIndicator(status) {
  * Update participant panel with current list
  */
 function updateParticipants(participants) {
+  participantList = participants;
   const lines = [];
   for (const p of participants) {
     const status = formatStatusIndicator(p.status);
@@ -233,44 +400,887 @@ function updateParticipants(participants) {
   screen.render();
 }
 
-function addMessage(msg) {
+/**
+ * Names of all known rooms, always including the current one
+ */
+function roomNames() {
+  const names = rooms.map(r => r.name);
+  if (!names.includes(currentRoom)) names.push(currentRoom);
+  return names.sort();
+}
+
+/**
+ * Render the room tab bar
+ */
+function renderRoomTabs() {
+  const tabs = roomNames().map(name => {
+    const room = rooms.find(r => r.name === name);
+    const count = room ? room.participants : 0;
+    return name === currentRoom
+      ? `{cyan-bg}{black-fg} ${name} (${count})${roomPaused ? ' PAUSED' : ''} {/black-fg}{/cyan-bg}`
+      : `{gray-fg} ${name} (${count}) {/gray-fg}`;
+  });
+  roomTabs.setContent(' ' + tabs.join(' '));
+  screen.render();
+}
+
+/**
+ * Clear the log and history state (e.g. when changing rooms)
+ */
+function resetLog() {
+  messageLog.setContent('');
+  oldestId = 0;
+  newestId = 0;
+  catchingUp = null;
+  recentMessages = [];
+  hasMoreHistory = false;
+  historyPending = false;
+}
+
+/**
+ * Move to another room (created on the server if it doesn't exist yet)
+ */
+function switchRoom(room) {
+  if (room === currentRoom) return;
+  if (!ROOM_NAME_PATTERN.test(room)) {
+    messageLog.log(`{red-fg}Invalid room name: ${room} (letters, digits, "_", "-", "." only){/red-fg}`);
+    return;
+  }
+  if (!ws || ws.readyState !== 1) {
+    messageLog.log('{red-fg}Not connected{/red-fg}');
+    return;
+  }
+
+  currentRoom = room;
+  roomPaused = false;
+  resetLog();
+  participantBox.setContent('');
+  participantList = [];
+  closeThread();
+  updateQuestions([]);
+  updateTasks([]);
+  ws.send(JSON.stringify({ type: 'join_room', room }));
+  renderRoomTabs();
+}
+
+/**
+ * Switch to the next/previous room tab
+ */
+function cycleRoom(step) {
+  const names = roomNames();
+  const i = names.indexOf(currentRoom);
+  switchRoom(names[(i + step + names.length) % names.length]);
+}
+
+/**
+ * A message's text with the participants it `@mentions` highlighted,
+ * mentions of the user most of all
+ */
+function highlightMentions(msg) {
+  if (!msg.mentions || msg.mentions.length === 0) return msg.text;
+
+  const mentioned = msg.mentions.map(m => m.toLowerCase());
+  const me = [userName.toLowerCase(), 'user'];
+  return msg.text.replace(MENTION_PATTERN, (match, before, token) => {
+    const key = token.toLowerCase();
+    if (!mentioned.includes(key)) return match;
+    return me.includes(key)
+      ? `${before}{black-fg}{yellow-bg}@${token}{/yellow-bg}{/black-fg}`
+      : `${before}{cyan-fg}{bold}@${token}{/bold}{/cyan-fg}`;
+  });
+}
+
+/**
+ * Color one line of a code snippet: comments, strings, numbers and keywords
+ */
+function highlightCode(line, language) {
+  const hash = HASH_COMMENT_LANGUAGES.includes(String(language || '').toLowerCase());
+  const pattern = hash ? CODE_TOKENS.hash : CODE_TOKENS.slash;
+  pattern.lastIndex = 0;
+
+  let out = '';
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(line))) {
+    const [token, comment, string, number, word] = match;
+    out += blessed.escape(line.slice(last, match.index));
+    const text = blessed.escape(token);
+    if (comment) out += `{gray-fg}${text}{/gray-fg}`;
+    else if (string) out += `{yellow-fg}${text}{/yellow-fg}`;
+    else if (number) out += `{cyan-fg}${text}{/cyan-fg}`;
+    else if (word && CODE_KEYWORDS.has(word)) out += `{magenta-fg}${text}{/magenta-fg}`;
+    else out += text;
+    last = match.index + token.length;
+  }
+  return out + blessed.escape(line.slice(last));
+}
+
+/**
+ * Color one line of a unified diff
+ */
+function highlightDiff(line) {
+  const text = blessed.escape(line);
+  if (/^(\+\+\+|---)/.test(line)) return `{bold}${text}{/bold}`;
+  if (line.startsWith('+')) return `{green-fg}${text}{/green-fg}`;
+  if (line.startsWith('-')) return `{red-fg}${text}{/red-fg}`;
+  if (line.startsWith('@@')) return `{cyan-fg}${text}{/cyan-fg}`;
+  return text;
+}
+
+/**
+ * Render a message's attachments below it: file references as one line, code
+ * and diffs as a colored block (cut to a preview unless `full`)
+ */
+function formatAttachments(msg, full = false) {
+  const lines = [];
+  for (const a of msg.attachments) {
+    if (a.kind === 'file') {
+      const range = a.startLine ? `:${a.startLine}${a.endLine && a.endLine !== a.startLine ? '-' + a.endLine : ''}` : '';
+      lines.push(`    {cyan-fg}[file]{/cyan-fg} {underline}${blessed.escape(a.path + range)}{/underline}`);
+      continue;
+    }
+
+    const body = a.content.replace(/\n$/, '').split('\n');
+    if (a.kind === 'diff') {
+      const added = body.filter(l => l.startsWith('+') && !l.startsWith('+++')).length;
+      const removed = body.filter(l => l.startsWith('-') && !l.startsWith('---')).length;
+      lines.push(`    {gray-fg}[diff${a.path ? ' ' + blessed.escape(a.path) : ''}]{/gray-fg} {green-fg}+${added}{/green-fg} {red-fg}-${removed}{/red-fg}`);
+    } else {
+      lines.push(`    {gray-fg}[code${a.language ? ' ' + blessed.escape(a.language) : ''}] ${body.length} lines{/gray-fg}`);
+    }
+
+    const shown = full ? body : body.slice(0, ATTACHMENT_PREVIEW_LINES);
+    for (const line of shown) {
+      lines.push(`    {gray-fg}|{/gray-fg} ${a.kind === 'diff' ? highlightDiff(line) : highlightCode(line, a.language)}`);
+    }
+    if (shown.length < body.length) {
+      lines.push(`    {gray-fg}| ... ${body.length - shown.length} more lines (/expand ${msg.id}){/gray-fg}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Show all of a message's attachments in a scrollable popup
+ */
+function expandAttachments(msg) {
+  const viewer = popup = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '90%',
+    height: '80%',
+    label: ` Attachments of #${msg.id} from ${msg.from} (Esc: close) `,
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    scrollable: true,
+    alwaysScroll: true,
+    border: { type: 'line' },
+    style: { border: { fg: 'cyan' } },
+    content: formatAttachments(msg, true).join('\n')
+  });
+
+  viewer.key(['escape', 'q'], () => {
+    closePopup();
+    inputBox.focus();
+    screen.render();
+  });
+
+  viewer.focus();
+  screen.render();
+}
+
+function formatMessage(msg) {
   const time = formatTime(msg.timestamp);
+  // Replies are indented under the flow of top-level messages
+  const indent = msg.replyTo ? '  {gray-fg}\u21b3{/gray-fg} ' : '';
   let line = '';
 
   if (msg.type === 'system') {
     line = `{gray-fg}[${time}] -- ${msg.text} --{/gray-fg}`;
   } else if (msg.type === 'discovery') {
-    const icon = CATEGORY_ICONS[msg.category] || '[INFO]';
+    const category = CATEGORIES[msg.category];
+    const icon = category ? `{${category.color}-fg}${category.icon}{/${category.color}-fg}` : '[INFO]';
     const color = COLORS[msg.agentType] || 'white';
-    line = `{gray-fg}[${time}]{/gray-fg} {${color}-fg}${icon} [${msg.from}]{/} ${msg.text}`;
+    line = `{gray-fg}[${time}]{/gray-fg} ${indent}${icon} {${color}-fg}[${msg.from}]{/} ${highlightMentions(msg)}`;
   } else if (msg.type === 'chat') {
     const color = COLORS[msg.agentType] || 'white';
-    line = `{gray-fg}[${time}]{/gray-fg} {${color}-fg}[${msg.from}]{/} ${msg.text}`;
+    line = `{gray-fg}[${time}]{/gray-fg} ${indent}{${color}-fg}[${msg.from}]{/} ${highlightMentions(msg)}`;
+  } else if (msg.type === 'question') {
+    const color = COLORS[msg.agentType] || 'white';
+    const target = msg.to ? `@${msg.to} ` : '';
+    line = `{gray-fg}[${time}]{/gray-fg} ${indent}{yellow-fg}{bold}[?]{/bold}{/yellow-fg} {${color}-fg}[${msg.from}]{/} ${target}${highlightMentions(msg)} {gray-fg}(${msg.questionId}){/gray-fg}`;
+  } else if (msg.type === 'answer') {
+    const color = COLORS[msg.agentType] || 'white';
+    line = `{gray-fg}[${time}]{/gray-fg} ${indent}{green-fg}{bold}[A]{/bold}{/green-fg} {${color}-fg}[${msg.from} -> ${msg.to}]{/} ${highlightMentions(msg)}`;
+  } else if (msg.type === 'dm') {
+    line = `{gray-fg}[${time}]{/gray-fg} {magenta-fg}{bold}[DM ${msg.from} -> ${msg.to}]{/bold}{/magenta-fg} {magenta-fg}${msg.text}{/magenta-fg}`;
+  } else if (msg.type === 'error' || (msg.type === 'task_result' && !msg.success)) {
+    line = `{red-fg}[${time}] ${msg.error}{/red-fg}`;
+  }
+
+  if (line && msg.attachments) {
+    line += '\n' + formatAttachments(msg).join('\n');
+  }
+  return line;
+}
+
+function addMessage(msg) {
+  // Conversation messages carry ids; anything at or below the newest shown is a replay
+  if (msg.id !== undefined) {
+    if (msg.id <= newestId) return;
+    if (catchingUp) {
+      catchingUp.push(msg);
+      return;
+    }
+  }
+
+  const line = formatMessage(msg);
+  if (!line) return;
+
+  messageLog.log(line);
+  if (msg.id !== undefined) {
+    if (!oldestId) oldestId = msg.id;
+    newestId = msg.id;
+    rememberMessage(msg);
+  }
+}
+
+/**
+ * Keep a shown message for the thread picker, and add it to the open thread
+ * if it belongs there
+ */
+function rememberMessage(msg) {
+  if (!['chat', 'discovery', 'question', 'answer'].includes(msg.type)) return;
+  recentMessages.push(msg);
+  if (recentMessages.length > 200) recentMessages.shift();
+
+  if (threadView && msg.threadId === threadView.id) {
+    threadView.messages.push(msg);
+    renderThread();
+  }
+}
+
+/**
+ * Show the backlog the server replays after register, or on a reconnect
+ * the messages missed while disconnected
+ */
+function addHistory(msg) {
+  if (typeof msg.sinceId === 'number') {
+    const missed = msg.messages.filter(m => m.id > newestId).length;
+    if (missed) {
+      messageLog.log(`{gray-fg}-- ${missed}${msg.hasMore ? '+' : ''} messages missed while disconnected --{/gray-fg}`);
+    }
+    addMissed(msg);
+    return;
+  }
+
+  const fresh = msg.messages.filter(m => m.id > newestId);
+  if (!fresh.length) return;
+
+  // After a reconnect, the backlog may not reach back to what we last showed
+  if (newestId && fresh[0].id > newestId + 1) {
+    catchUp();
+    return;
+  }
+
+  // Only trust hasMore when the log was empty - otherwise older history is already shown
+  if (!newestId) hasMoreHistory = msg.hasMore;
+  messageLog.log('{gray-fg}-- history --{/gray-fg}');
+  fresh.forEach(addMessage);
+}
+
+/**
+ * Fetch the messages after the newest one shown, holding live messages back
+ * until they arrive so the log stays in order
+ */
+function catchUp() {
+  if (!catchingUp) {
+    catchingUp = [];
+    messageLog.log('{gray-fg}-- catching up on missed messages --{/gray-fg}');
   }
+  ws.send(JSON.stringify({
+    type: 'history_request',
+    sinceId: newestId,
+    limit: 500
+  }));
+}
+
+/**
+ * Show a page of missed messages, then whatever arrived live meanwhile
+ */
+function addMissed(msg) {
+  const held = catchingUp || [];
+  catchingUp = null;
+  msg.messages.forEach(addMessage);
 
-  if (line) {
-    messageLog.log(line);
+  if (msg.hasMore) {
+    // Keep holding live messages until the last page is in
+    catchingUp = held;
+    catchUp();
+    return;
   }
+  held.sort((a, b) => a.id - b.id).forEach(addMessage);
+}
+
+/**
+ * Request the page of history before the oldest message shown
+ */
+function loadOlderHistory() {
+  if (!hasMoreHistory || historyPending || !ws || ws.readyState !== 1) return;
+  historyPending = true;
+  ws.send(JSON.stringify({
+    type: 'history_request',
+    beforeId: oldestId
+  }));
+}
+
+/**
+ * Prepend an older page of history to the top of the log
+ */
+function prependHistory(msg) {
+  historyPending = false;
+  hasMoreHistory = msg.hasMore;
+
+  // Messages with attachments span several lines
+  const lines = msg.messages.map(formatMessage).filter(Boolean).flatMap(line => line.split('\n'));
+  if (!hasMoreHistory) lines.unshift('{gray-fg}-- start of history --{/gray-fg}');
+  if (lines.length) messageLog.unshiftLine(lines);
+  if (msg.messages.length) oldestId = msg.messages[0].id;
+  screen.render();
+
+  if (pendingJump) {
+    const hit = pendingJump;
+    pendingJump = null;
+    jumpToMessage(hit);
+  }
+}
+
+/**
+ * Show the results of a /search, or say there were none
+ */
+function showSearchResults(msg) {
+  if (msg.messages.length === 0) {
+    messageLog.log(`{yellow-fg}No messages in ${msg.room} match ${blessed.escape(describeSearch(search.query))}{/yellow-fg}`);
+    search = null;
+    screen.render();
+    return;
+  }
+  search.messages = msg.messages.slice().reverse();
+  search.total = msg.total;
+  search.selected = 0;
+  pickSearchResult();
+}
+
+function describeSearch(query) {
+  const parts = [];
+  if (query.text) parts.push(`"${query.text}"`);
+  if (query.from) parts.push(`from:${query.from}`);
+  if (query.category) parts.push(`category:${query.category}`);
+  return parts.join(' ');
+}
+
+/**
+ * Let the user pick a search hit from a popup list, newest first, and jump
+ * the log to it. The list reopens at the same hit with a bare /search.
+ */
+function pickSearchResult() {
+  const { messages, total } = search;
+  const shown = total > messages.length ? `newest ${messages.length} of ${total}` : `${total}`;
+  if (inputBox.focused) inputBox.cancel();
+  const picker = popup = blessed.list({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '80%',
+    height: Math.min(messages.length + 2, 15),
+    label: ` ${shown} ${total === 1 ? 'match' : 'matches'} for ${blessed.escape(describeSearch(search.query))} (Enter: jump, Esc: close) `,
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: { type: 'line' },
+    style: {
+      border: { fg: 'cyan' },
+      selected: { bg: 'cyan', fg: 'black' }
+    },
+    items: messages.map(m => `#${m.id} ${formatTime(m.timestamp)} [${blessed.escape(m.from || 'system')}] ${blessed.escape(truncate(m.text || '', 80))}`)
+  });
+  picker.select(search.selected);
+
+  picker.on('select', (item, index) => {
+    closePopup();
+    search.selected = index;
+    jumpToMessage(messages[index]);
+    inputBox.focus();
+    screen.render();
+  });
+  picker.key(['escape'], () => {
+    closePopup();
+    inputBox.focus();
+    screen.render();
+  });
+
+  picker.focus();
+  screen.render();
+}
+
+/**
+ * Scroll the log to a message and mark it. Messages older than the log
+ * reaches are paged in first.
+ */
+function jumpToMessage(msg) {
+  // Unmark the previous hit
+  if (jumpMark) {
+    const i = findLogLine(jumpMark.marked);
+    if (i >= 0) messageLog.setLine(i, jumpMark.line);
+    jumpMark = null;
+  }
+
+  if (msg.room && msg.room !== currentRoom) {
+    messageLog.log(`{yellow-fg}Message #${msg.id} is in ${msg.room} (/join ${msg.room} to see it){/yellow-fg}`);
+    return;
+  }
+  const line = formatMessage(msg).split('\n')[0];
+  const i = findLogLine(blessed.cleanTags(line));
+  if (i < 0) {
+    if (msg.id < oldestId && hasMoreHistory) {
+      pendingJump = msg;
+      loadOlderHistory();
+    } else {
+      messageLog.log(`{yellow-fg}Message #${msg.id} is not in the log{/yellow-fg}`);
+    }
+    return;
+  }
+
+  const marked = `{cyan-bg}{black-fg}>{/black-fg}{/cyan-bg} ${line}`;
+  jumpMark = { line, marked: blessed.cleanTags(marked) };
+  messageLog.setLine(i, marked);
+  messageLog.scrollTo(logLineRow(i));
+  screen.render();
+}
+
+/**
+ * First screen row of log line `i`, which moves down as lines above it wrap.
+ * blessed keeps that mapping only in the element's private `_clines.ftor`
+ * (no public API exposes it); without it, fall back to the unwrapped index.
+ */
+function logLineRow(i) {
+  const rows = messageLog._clines && messageLog._clines.ftor && messageLog._clines.ftor[i];
+  return rows ? rows[0] : i;
+}
+
+/**
+ * Index of the last log line reading `plain` once colors are stripped
+ * (the log keeps lines with their tags already rendered), or -1
+ */
+function findLogLine(plain) {
+  const lines = messageLog.getLines();
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (blessed.cleanTags(lines[i]) === plain) return i;
+  }
+  return -1;
+}
+
+/**
+ * Write the transcript the server sent for a pending /export
+ */
+function writeExport(msg) {
+  if (!pendingExport) return;
+  const { format, file } = pendingExport;
+  pendingExport = null;
+
+  const result = exportTranscript(msg.room, msg.messages, { format, file, categories: CATEGORIES });
+  if (result.success) {
+    messageLog.log(`{green-fg}Exported ${result.messages} messages from ${msg.room} to ${result.path}{/green-fg}`);
+  } else {
+    messageLog.log(`{red-fg}Export failed: ${result.error}{/red-fg}`);
+  }
+  screen.render();
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.substring(0, max - 1) + '.' : text;
+}
+
+function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m`;
+}
+
+/**
+ * Render the open questions panel, most urgent first. Questions turn yellow
+ * past half their timeout and red in the last quarter (or last 10 seconds).
+ */
+function renderQuestions() {
+  const now = Date.now();
+  const items = openQuestions.map(q => {
+    const age = formatDuration(now - q.askedAt);
+    const name = truncate(q.from, 10);
+    if (!q.expiresAt) {
+      return `{gray-fg}${age}/--{/gray-fg} [${name}] ${q.text}`;
+    }
+    const left = q.expiresAt - now;
+    const fraction = left / (q.expiresAt - q.askedAt);
+    const color = (fraction <= 0.25 || left <= 10000) ? 'red' : fraction <= 0.5 ? 'yellow' : 'green';
+    return `{${color}-fg}${age}/${formatDuration(left)}{/${color}-fg} [${name}] ${q.text}`;
+  });
+
+  questionBox.setItems(items);
+  questionBox.setLabel(` Questions (${openQuestions.length}) age/left `);
+  screen.render();
+}
+
+/**
+ * Track the server's list of open questions
+ */
+function updateQuestions(questions) {
+  const selectedId = openQuestions[questionBox.selected]?.questionId;
+
+  // Questions without a timeout never expire - list them last
+  openQuestions = questions.sort((a, b) => (a.expiresAt || Infinity) - (b.expiresAt || Infinity));
+
+  if (answering && !openQuestions.some(q => q.questionId === answering.questionId)) {
+    messageLog.log(`{yellow-fg}Question ${answering.questionId} is no longer open{/yellow-fg}`);
+    stopAnswering();
+  }
+  renderQuestions();
+
+  const index = openQuestions.findIndex(q => q.questionId === selectedId);
+  if (index >= 0) questionBox.select(index);
+}
+
+/**
+ * Jump to the questions panel (most urgent question selected)
+ */
+function focusQuestions() {
+  if (openQuestions.length === 0) {
+    messageLog.log('{yellow-fg}No open questions{/yellow-fg}');
+    screen.render();
+    return;
+  }
+  // The input box fights focus changes while it is reading - stop reading first
+  if (inputBox.focused) inputBox.cancel();
+  questionBox.select(0);
+  questionBox.focus();
+  screen.render();
+}
+
+/**
+ * The input box's label for what the next submitted input does, if not chat
+ */
+function modeLabel() {
+  if (answering) return ` Answer ${answering.from}: ${truncate(answering.text, 60)} (Esc: cancel) `;
+  if (threadView) return ` Reply in thread #${threadView.id} (Esc: close thread) `;
+  return '';
+}
+
+/**
+ * Ask the server for the thread message `id` belongs to
+ */
+function requestThread(id) {
+  ws.send(JSON.stringify({ type: 'thread_request', id }));
+}
+
+/**
+ * Open a thread in the side view; input then goes to the thread as replies
+ */
+function showThread(msg) {
+  threadView = { id: msg.threadId, messages: msg.messages };
+  threadBox.show();
+  renderThread();
+  inputBox.setLabel(modeLabel());
+  // Refocusing the input while it is reading cancels it (closing the thread)
+  if (!inputBox.focused && !popup) inputBox.focus();
+  screen.render();
+}
+
+function renderThread() {
+  const replies = threadView.messages.length - 1;
+  threadBox.setLabel(` Thread #${threadView.id} - ${replies} ${replies === 1 ? 'reply' : 'replies'} `);
+  threadBox.setContent(threadView.messages.map(m => `{gray-fg}#${m.id}{/gray-fg} ${formatMessage(m)}`).join('\n'));
+  threadBox.setScrollPerc(100);
+  screen.render();
+}
+
+function closeThread() {
+  if (!threadView) return;
+  threadView = null;
+  threadBox.hide();
+  inputBox.setLabel(modeLabel());
+  screen.render();
+}
+
+/**
+ * Show the session report in a scrollable popup
+ */
+function showReport(msg) {
+  // The report arrives after the input box went back to reading - stop reading first
+  if (inputBox.focused) inputBox.cancel();
+  const viewer = popup = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '80%',
+    height: '80%',
+    label: ' Session report (Esc: close) ',
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    scrollable: true,
+    alwaysScroll: true,
+    border: { type: 'line' },
+    style: { border: { fg: 'green' } },
+    content: blessed.escape(renderReport(msg.report))
+  });
+
+  viewer.key(['escape', 'q'], () => {
+    closePopup();
+    inputBox.focus();
+    screen.render();
+  });
+
+  viewer.focus();
+  screen.render();
+}
+
+/**
+ * Let the user pick a recent message from a popup list and open its thread
+ */
+function pickThread() {
+  if (recentMessages.length === 0) {
+    messageLog.log('{yellow-fg}No messages to open a thread from{/yellow-fg}');
+    return;
+  }
+
+  const choices = recentMessages.slice(-50).reverse();
+  const picker = popup = blessed.list({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '70%',
+    height: Math.min(choices.length + 2, 15),
+    label: ' Open thread (Enter: open, Esc: close) ',
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: { type: 'line' },
+    style: {
+      border: { fg: 'magenta' },
+      selected: { bg: 'magenta', fg: 'black' }
+    },
+    items: choices.map(m => `#${m.id} ${m.replyTo ? '\u21b3 ' : ''}[${m.from}] ${truncate(m.text || '', 80)}`)
+  });
+
+  picker.on('select', (item, index) => {
+    closePopup();
+    requestThread(choices[index].id);
+    inputBox.focus();
+    screen.render();
+  });
+  picker.key(['escape'], () => {
+    closePopup();
+    inputBox.focus();
+    screen.render();
+  });
+
+  picker.focus();
+  screen.render();
+}
+
+/**
+ * Make the next submitted input an answer to `question`
+ */
+function startAnswering(question) {
+  answering = question;
+  inputBox.setLabel(modeLabel());
+  inputBox.style.border.fg = 'yellow';
+  inputBox.focus();
+  screen.render();
+}
+
+function stopAnswering() {
+  answering = null;
+  inputBox.setLabel('');
+  inputBox.style.border.fg = inputBox.focused ? 'blue' : 'gray';
+  screen.render();
+}
+
+/**
+ * Let the user pick an open question from a popup list, then answer it
+ */
+function pickQuestion() {
+  if (openQuestions.length === 0) {
+    messageLog.log('{yellow-fg}No open questions{/yellow-fg}');
+    return;
+  }
+
+  const picker = popup = blessed.list({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '70%',
+    height: Math.min(openQuestions.length + 2, 15),
+    label: ' Open questions (Enter: answer, Esc: close) ',
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: { type: 'line' },
+    style: {
+      border: { fg: 'yellow' },
+      selected: { bg: 'yellow', fg: 'black' }
+    },
+    items: openQuestions.map(q => `[${q.from}] ${truncate(q.text, 80)}`)
+  });
+
+  picker.on('select', (item, index) => {
+    closePopup();
+    startAnswering(openQuestions[index]);
+  });
+  picker.key(['escape'], () => {
+    closePopup();
+    inputBox.focus();
+    screen.render();
+  });
+
+  picker.focus();
+  screen.render();
+}
+
+function closePopup() {
+  if (!popup) return;
+  popup.destroy();
+  popup = null;
+}
+
+/**
+ * Find an open question by id, or by its 1-based position in the open list
+ */
+function findQuestion(ref) {
+  const index = parseInt(ref, 10);
+  if (String(index) === ref && index >= 1 && index <= openQuestions.length) {
+    return openQuestions[index - 1];
+  }
+  return openQuestions.find(q => q.questionId === ref);
+}
+
+function sendAnswer(question, text) {
+  ws.send(JSON.stringify({
+    type: 'answer',
+    questionId: question.questionId,
+    text
+  }));
+}
+
+/**
+ * Render the task board columns
+ */
+function renderBoard() {
+  TASK_STATES.forEach((state, i) => {
+    const color = STATE_COLORS[state];
+    const inState = boardTasks.filter(t => t.state === state);
+    const lines = [];
+    for (const t of inState) {
+      lines.push(`{bold}#${t.id}{/bold} ${t.title}`);
+      lines.push(t.assignee ? `  {cyan-fg}@${t.assignee}{/cyan-fg}` : '  {gray-fg}unassigned{/gray-fg}');
+      if (t.note) lines.push(`  {gray-fg}${t.note}{/gray-fg}`);
+    }
+    boardColumns[i].setLabel(` {${color}-fg}${state} (${inState.length}){/${color}-fg} `);
+    boardColumns[i].setContent(lines.join('\n'));
+  });
+  screen.render();
+}
+
+function updateTasks(tasks) {
+  boardTasks = tasks;
+  renderBoard();
+}
+
+/**
+ * Switch the main area between the chat log and the task board
+ */
+function toggleBoard() {
+  if (boardBox.hidden) {
+    renderBoard();
+    boardBox.show();
+    messageLog.hide();
+  } else {
+    boardBox.hide();
+    messageLog.show();
+  }
+  screen.render();
 }
 
 function connect() {
-  ws = new WebSocket(SERVER_URL);
+  ws = new WebSocket(SERVER_URL, { headers: authHeaders(clientTokenFile(CONFIG)) });
 
   ws.on('open', () => {
     updateStatus(true);
     ws.send(JSON.stringify({
       type: 'register',
-      name: USER_NAME,
-      agentType: 'user'
+      name: userName,
+      agentType: 'user',
+      room: currentRoom,
+      reconnect: registered,
+      // Replay only what was said while we were disconnected
+      lastSeenId: registered && newestId ? newestId : undefined
     }));
   });
 
   ws.on('message', (data) => {
     try {
       const msg = JSON.parse(data.toString());
+
+      if (msg.type === 'registered') {
+        if (msg.name !== msg.requestedName) {
+          messageLog.log(`{yellow-fg}"${msg.requestedName}" is taken - you are ${msg.name}{/yellow-fg}`);
+        }
+        userName = msg.name;
+        registered = true;
+        return;
+      }
+
+      // Room list is server-wide; everything else belongs to a room
+      if (msg.type === 'rooms_update') {
+        rooms = msg.rooms;
+        renderRoomTabs();
+        return;
+      }
+      // Drop stragglers from a room we just left
+      if (msg.room && msg.room !== currentRoom) return;
+
       // Handle participant updates separately
       if (msg.type === 'participants_update') {
         updateParticipants(msg.participants);
+      } else if (msg.type === 'tasks_update') {
+        updateTasks(msg.tasks);
+      } else if (msg.type === 'control') {
+        // The server announces control commands as system messages; only track pause here
+        if (msg.action === 'pause' || msg.action === 'resume') {
+          roomPaused = msg.action === 'pause';
+          renderRoomTabs();
+        }
+      } else if (msg.type === 'questions_update') {
+        updateQuestions(msg.questions);
+      } else if (msg.type === 'history') {
+        addHistory(msg);
+      } else if (msg.type === 'history_response' && msg.sinceId !== null) {
+        addMissed(msg);
+      } else if (msg.type === 'history_response') {
+        prependHistory(msg);
+      } else if (msg.type === 'thread_response') {
+        showThread(msg);
+      } else if (msg.type === 'transcript_response') {
+        writeExport(msg);
+      } else if (msg.type === 'report_response') {
+        showReport(msg);
+      } else if (msg.type === 'search_response') {
+        showSearchResults(msg);
       } else {
         addMessage(msg);
       }
@@ -279,35 +1289,330 @@ function connect() {
 
   ws.on('close', () => {
     updateStatus(false);
+    historyPending = false;
+    catchingUp = null; // held messages are re-fetched after reconnecting
     messageLog.log('{red-fg}Disconnected. Reconnecting in 3s...{/red-fg}');
     setTimeout(connect, 3000);
   });
 
   ws.on('error', (err) => {
-    messageLog.log(`{red-fg}Error: ${err.message}{/red-fg}`);
+    messageLog.log(`{red-fg}Error: ${connectionError(err, clientTokenFile(CONFIG))}{/red-fg}`);
   });
 }
 
+/**
+ * Send a control command (shutdown, kick, pause, resume) - the server
+ * announces it in the room or replies with an error
+ */
+function sendControl(action, target, reason) {
+  ws.send(JSON.stringify({ type: 'control', action, target, reason }));
+}
+
+/**
+ * Handle a slash command. Returns false if the input is not a known command
+ * (so things like file paths are still sent as chat).
+ */
+function handleCommand(text) {
+  const parsed = text.match(/^(\/\S+)\s*([\s\S]*)$/);
+  if (!parsed) return false;
+  const [, command, rest] = parsed;
+
+  switch (command) {
+    case '/msg': {
+      const match = rest.match(/^(\S+)\s+([\s\S]+)$/);
+      if (!match) {
+        messageLog.log('{yellow-fg}Usage: /msg <name> <text>{/yellow-fg}');
+        return true;
+      }
+      ws.send(JSON.stringify({
+        type: 'dm',
+        to: match[1],
+        text: match[2]
+      }));
+      return true;
+    }
+
+    case '/join': {
+      if (!rest) {
+        messageLog.log('{yellow-fg}Usage: /join <room>{/yellow-fg}');
+        return true;
+      }
+      switchRoom(rest);
+      return true;
+    }
+
+    case '/rooms': {
+      const list = roomNames().map(name => {
+        const room = rooms.find(r => r.name === name);
+        const marker = name === currentRoom ? '*' : ' ';
+        return `${marker} ${name} (${room ? room.participants : 0} online)`;
+      });
+      messageLog.log(`{yellow-fg}Rooms:\n${list.join('\n')}{/yellow-fg}`);
+      return true;
+    }
+
+    case '/answer': {
+      if (!rest) {
+        pickQuestion();
+        return true;
+      }
+      const match = rest.match(/^(\S+)\s+([\s\S]+)$/);
+      const question = match && findQuestion(match[1]);
+      if (!question) {
+        messageLog.log('{yellow-fg}Usage: /answer [<question id or #> <text>] (no arguments: pick from a list){/yellow-fg}');
+        return true;
+      }
+      sendAnswer(question, match[2]);
+      return true;
+    }
+
+    case '/shutdown':
+      // Everyone in the room, or one participant
+      sendControl('shutdown', rest || null);
+      return true;
+
+    case '/kick': {
+      const match = rest.match(/^(\S+)\s*([\s\S]*)$/);
+      if (!match) {
+        messageLog.log('{yellow-fg}Usage: /kick <name> [reason]{/yellow-fg}');
+        return true;
+      }
+      sendControl('kick', match[1], match[2] || null);
+      return true;
+    }
+
+    case '/pause':
+      sendControl('pause', null, rest || null);
+      return true;
+
+    case '/resume':
+      sendControl('resume', null, rest || null);
+      return true;
+
+    case '/board':
+      toggleBoard();
+      return true;
+
+    case '/thread': {
+      if (!rest) {
+        pickThread();
+        return true;
+      }
+      const id = Number(rest.replace('#', ''));
+      if (!Number.isInteger(id)) {
+        messageLog.log('{yellow-fg}Usage: /thread [<message id>] (no arguments: pick from a list){/yellow-fg}');
+        return true;
+      }
+      requestThread(id);
+      return true;
+    }
+
+    case '/expand': {
+      const id = Number(rest.replace('#', ''));
+      const msg = rest
+        ? recentMessages.find(m => m.id === id && m.attachments)
+        : [...recentMessages].reverse().find(m => m.attachments);
+      if (!msg) {
+        messageLog.log(`{yellow-fg}${rest ? `No attachments on message ${rest}` : 'No recent attachments'}{/yellow-fg}`);
+        return true;
+      }
+      expandAttachments(msg);
+      return true;
+    }
+
+    case '/reply': {
+      const match = rest.match(/^#?(\d+)\s+([\s\S]+)$/);
+      if (!match) {
+        messageLog.log('{yellow-fg}Usage: /reply <message id> <text>{/yellow-fg}');
+        return true;
+      }
+      ws.send(JSON.stringify({ type: 'chat', text: match[2], replyTo: Number(match[1]) }));
+      return true;
+    }
+
+    case '/search': {
+      // /search [from:<name>] [category:<name>] [text] - no arguments reopens the last results
+      if (!rest) {
+        if (search && search.messages) pickSearchResult();
+        else messageLog.log('{yellow-fg}Usage: /search [from:<name>] [category:<name>] [text]{/yellow-fg}');
+        return true;
+      }
+      const query = { text: null, from: null, category: null };
+      const words = [];
+      for (const word of rest.split(/\s+/)) {
+        const filter = word.match(/^(from|category):(.+)$/);
+        if (filter) query[filter[1]] = filter[2];
+        else words.push(word);
+      }
+      query.text = words.join(' ') || null;
+      search = { query };
+      ws.send(JSON.stringify({ type: 'search_request', text: query.text, sender: query.from, category: query.category }));
+      return true;
+    }
+
+    case '/report':
+      ws.send(JSON.stringify({ type: 'report_request' }));
+      return true;
+
+    case '/export': {
+      // /export [--all] [md|json|html] [path]
+      const args = rest.split(/\s+/).filter(Boolean);
+      const all = args[0] === '--all';
+      if (all) args.shift();
+      const format = EXPORT_FORMATS.includes(args[0]) ? args.shift() : 'md';
+      if (args.length > 1) {
+        messageLog.log(`{yellow-fg}Usage: /export [--all] [${EXPORT_FORMATS.join('|')}] [path]{/yellow-fg}`);
+        return true;
+      }
+      pendingExport = { format, file: args[0] };
+      ws.send(JSON.stringify({ type: 'transcript_request', since: all ? 0 : undefined }));
+      return true;
+    }
+
+    case '/task': {
+      const usage = '{yellow-fg}Usage: /task add <title> | /task assign <id> <name> | /task move <id> <' + TASK_STATES.join('|') + '>{/yellow-fg}';
+      const [, action, args] = rest.match(/^(\S*)\s*([\s\S]*)$/);
+      const [id, value] = args.split(/\s+/);
+
+      if (action === 'add' && args) {
+        ws.send(JSON.stringify({ type: 'task_create', title: args }));
+      } else if (action === 'assign' && id && value) {
+        ws.send(JSON.stringify({ type: 'task_update', id: Number(id.replace('#', '')), assignee: value }));
+      } else if (action === 'move' && id && TASK_STATES.includes(value)) {
+        ws.send(JSON.stringify({ type: 'task_update', id: Number(id.replace('#', '')), state: value }));
+      } else {
+        messageLog.log(usage);
+      }
+      return true;
+    }
+
+    default:
+      return false;
+  }
+}
+
 // Handle input
 inputBox.on('submit', (value) => {
-  if (value.trim() && ws && ws.readyState === 1) {
-    ws.send(JSON.stringify({
-      type: 'chat',
-      text: value.trim()
-    }));
+  const text = value.trim();
+  if (text && ws && ws.readyState === 1) {
+    if (answering) {
+      sendAnswer(answering, text);
+      stopAnswering();
+    } else if (!text.startsWith('/') || !handleCommand(text)) {
+      ws.send(JSON.stringify({
+        type: 'chat',
+        text,
+        // With a thread open, chat goes to the thread
+        replyTo: threadView ? threadView.id : undefined
+      }));
+    }
   }
   inputBox.clearValue();
-  inputBox.focus();
+  // A command may have opened a popup that should keep focus
+  if (!popup) inputBox.focus();
   screen.render();
 });
 
+/**
+ * The `@partial` being typed at the end of the input, or null
+ */
+function partialMention(value) {
+  const match = value.match(/(?:^|[^\w@])@([\w.-]*)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Participant names, then agent types, starting with `prefix`
+ */
+function mentionCandidates(prefix) {
+  const names = participantList.map(p => p.name).filter(name => name !== userName);
+  const types = [...new Set(participantList.map(p => p.type))].filter(type => type !== 'user' && !names.includes(type));
+  return [...names, ...types].filter(c => c.toLowerCase().startsWith(prefix.toLowerCase()));
+}
+
+/**
+ * Show who an `@partial` could complete to in the input box's label
+ */
+function updateMentionHint() {
+  const partial = partialMention(inputBox.getValue());
+  const matches = partial === null ? [] : mentionCandidates(partial);
+  if (matches.length > 0) {
+    inputBox.setLabel(` @ ${matches.slice(0, 6).join('  ')}${matches.length > 6 ? '  ...' : ''} (Tab) `);
+  } else if (modeLabel()) {
+    inputBox.setLabel(modeLabel());
+  } else {
+    inputBox.removeLabel();
+  }
+  screen.render();
+}
+
+/**
+ * Complete the `@partial` at the end of the input to the first candidate
+ */
+function completeMention() {
+  // The textbox has already inserted the tab itself
+  let value = inputBox.getValue().replace(/\t$/, '');
+  const partial = partialMention(value);
+  const matches = partial === null ? [] : mentionCandidates(partial);
+  if (matches.length > 0) {
+    value = value.slice(0, value.length - partial.length) + matches[0] + ' ';
+  }
+  inputBox.setValue(value);
+  updateMentionHint();
+}
+
+// Autocomplete @mentions from the participant list (keypress fires before the
+// textbox updates its value, so look at it on the next tick)
+inputBox.on('keypress', () => setImmediate(updateMentionHint));
+inputBox.key(['tab'], completeMention);
+
+// Enter on a question in the panel starts answering it; Escape goes back to the input
+questionBox.on('select', (item, index) => {
+  if (openQuestions[index]) startAnswering(openQuestions[index]);
+});
+questionBox.key(['escape'], () => inputBox.focus());
+
+// Keep ages and countdowns current
+setInterval(() => {
+  if (openQuestions.length > 0) renderQuestions();
+}, 1000);
+
+// Escape while answering a question or with a thread open goes back to normal chat
+inputBox.on('cancel', () => {
+  if (answering) stopAnswering();
+  else if (threadView) closeThread();
+});
+
 // Key bindings
 screen.key(['escape'], () => inputBox.focus());
-screen.key(['C-c'], () => {
-  if (ws) ws.close();
-  process.exit(0);
+globalKey(['C-c'], () => {
+  if (!ws || ws.readyState !== WebSocket.OPEN) process.exit(0);
+  // Exit once the close frame is out, so the server logs a normal leave
+  // rather than a lost connection
+  ws.once('close', () => process.exit(0));
+  ws.close(1000, 'leaving');
+  setTimeout(() => process.exit(0), 1000);
 });
 
+/**
+ * Bind a key that works whether or not the input box is being typed in
+ * (the textbox grabs keys while reading, so screen-level bindings don't fire)
+ */
+function globalKey(keys, handler) {
+  screen.key(keys, handler);
+  inputBox.key(keys, handler);
+}
+
+// Ctrl+A to jump to the open questions panel
+globalKey(['C-a'], focusQuestions);
+
+// Ctrl+B to toggle the task board
+globalKey(['C-b'], toggleBoard);
+
+// Ctrl+N / Ctrl+P to move between room tabs
+globalKey(['C-n'], () => cycleRoom(1));
+globalKey(['C-p'], () => cycleRoom(-1));
+
 // Tab to switch focus between input and message log
 screen.key(['tab'], () => {
   if (inputBox.focused) {
@@ -320,6 +1625,8 @@ screen.key(['tab'], () => {
 
 // Scroll shortcuts (when message log is focused or globally)
 screen.key(['pageup'], () => {
+  // Paging up past the top loads older history from the server
+  if (messageLog.childBase === 0) loadOlderHistory();
   messageLog.scroll(-messageLog.height + 2);
   screen.render();
 });
@@ -338,13 +1645,13 @@ screen.key(['end'], () => {
 
 // Arrow keys for scroll when not typing
 screen.key(['up'], () => {
-  if (!inputBox.focused) {
+  if (!inputBox.focused && !questionBox.focused) {
     messageLog.scroll(-1);
     screen.render();
   }
 });
 screen.key(['down'], () => {
-  if (!inputBox.focused) {
+  if (!inputBox.focused && !questionBox.focused) {
     messageLog.scroll(1);
     screen.render();
   }
@@ -353,6 +1660,10 @@ screen.key(['down'], () => {
 // Start
 async function main() {
   inputBox.focus();
+  renderRoomTabs();
+  for (const warning of [...loaded.warnings, ...categoryWarnings]) {
+    messageLog.log(`{yellow-fg}${blessed.escape(warning)}{/yellow-fg}`);
+  }
   messageLog.log('{yellow-fg}Starting server...{/yellow-fg}');
   screen.render();
 
@@ -0,0 +1,500 @@
+/**
+ * Agent Chatroom - Web UI
+ * The browser counterpart of ui.js: message log, participants with their
+ * status and task, open questions and an input box, over the same WebSocket
+ * protocol. The token comes from the link the server prints (#token=...)
+ * and is kept in localStorage so a reload doesn't need it again.
+ */
+
+(() => {
+  'use strict';
+
+  const TOKEN_KEY = 'agent-chatroom-token';
+  const RECONNECT_DELAY = 2000;
+  const HISTORY_PAGE = 100;
+  const MAX_LOG_ENTRIES = 2000;
+  const MENTION_PATTERN = /((?:^|[^\w@])@)([\w.-]*\w)/g;
+
+  // blessed color names used by category definitions, as CSS colors
+  const CSS_COLORS = {
+    black: '#5c6370', red: '#e06c75', green: '#98c379', yellow: '#e5c07b',
+    blue: '#61afef', magenta: '#c678dd', cyan: '#56b6c2', white: '#dcdfe4',
+    gray: '#8b929e', grey: '#8b929e'
+  };
+
+  const params = new URLSearchParams(location.search);
+  const $ = id => document.getElementById(id);
+
+  let token = null;
+  let ws = null;
+  let name = null;        // registered name (the server may add a suffix)
+  let room = null;
+  let categories = {};
+  let rooms = [];
+  let questions = [];
+  let answering = null;   // question being answered
+  let newestId = 0;
+  let oldestId = 0;
+  const shown = new Set(); // message ids in the log
+
+  // --- Connection ---
+
+  /**
+   * Take a token from the URL (then drop it from the address bar) or storage
+   */
+  function readToken() {
+    const fromUrl = new URLSearchParams(location.hash.slice(1)).get('token');
+    if (fromUrl) {
+      localStorage.setItem(TOKEN_KEY, fromUrl);
+      history.replaceState(null, '', location.pathname + location.search);
+    }
+    return localStorage.getItem(TOKEN_KEY);
+  }
+
+  /**
+   * Check the token and load settings, then connect. Also how a dropped
+   * connection is retried, so a restarted server's new token is noticed.
+   */
+  async function start(reconnect = false) {
+    token = readToken();
+    if (!token) return showLogin();
+
+    let config;
+    try {
+      const res = await fetch('/config', { headers: { Authorization: `Bearer ${token}` } });
+      if (res.status === 401) {
+        localStorage.removeItem(TOKEN_KEY);
+        return showLogin('The server rejected that token (it changes when the server restarts).');
+      }
+      config = await res.json();
+    } catch (err) {
+      setStatus('Cannot reach the server - retrying...', 'disconnected');
+      setTimeout(() => start(reconnect), RECONNECT_DELAY);
+      return;
+    }
+
+    categories = config.categories || {};
+    if (!reconnect) {
+      name = params.get('name') || config.user;
+      room = params.get('room') || config.room;
+    }
+    connect(reconnect);
+  }
+
+  function connect(reconnect) {
+    const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+    ws = new WebSocket(`${scheme}://${location.host}/?token=${encodeURIComponent(token)}`);
+
+    ws.onopen = () => {
+      setStatus(`Connected as ${name}`, 'connected');
+      const register = { type: 'register', name, agentType: 'user', room, reconnect };
+      // Ask for exactly what we missed instead of the backlog
+      if (reconnect && newestId) register.lastSeenId = newestId;
+      send(register);
+    };
+    ws.onmessage = event => {
+      try {
+        handle(JSON.parse(event.data));
+      } catch (err) {
+        console.error('Bad message from server', err);
+      }
+    };
+    ws.onclose = () => {
+      setStatus('Disconnected - reconnecting...', 'disconnected');
+      setTimeout(() => start(true), RECONNECT_DELAY);
+    };
+  }
+
+  function send(message) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      logNote('Not connected', 'error');
+      return false;
+    }
+    ws.send(JSON.stringify(message));
+    return true;
+  }
+
+  function showLogin(error = '') {
+    setStatus('Not connected', 'disconnected');
+    $('login-error').textContent = error;
+    if (!$('login').open) $('login').showModal();
+  }
+
+  $('login-form').addEventListener('submit', () => {
+    const value = $('token').value.trim();
+    if (!value) return;
+    localStorage.setItem(TOKEN_KEY, value);
+    start();
+  });
+
+  // --- Server messages ---
+
+  function handle(msg) {
+    switch (msg.type) {
+      case 'registered':
+        name = msg.name;
+        room = msg.room;
+        setStatus(`Connected as ${name}`, 'connected');
+        renderRooms();
+        break;
+      case 'history':
+        addHistory(msg);
+        break;
+      case 'history_response':
+        addHistoryPage(msg);
+        break;
+      case 'chat':
+      case 'discovery':
+      case 'system':
+      case 'dm':
+      case 'question':
+      case 'answer':
+        if (msg.room && msg.room !== room) break;
+        addMessage(msg);
+        if (msg.id > newestId) newestId = msg.id;
+        break;
+      case 'participants_update':
+        if (msg.room === room) renderParticipants(msg.participants);
+        break;
+      case 'questions_update':
+        if (msg.room === room) renderQuestions(msg.questions);
+        break;
+      case 'rooms_update':
+      case 'rooms_response':
+        rooms = msg.rooms;
+        renderRooms();
+        break;
+      case 'control':
+        if (msg.action === 'pause' || msg.action === 'resume') {
+          logNote(`Room ${msg.action === 'pause' ? 'paused' : 'resumed'} by ${msg.from}`, 'system');
+        }
+        break;
+      case 'error':
+        logNote(msg.error, 'error');
+        break;
+    }
+  }
+
+  /**
+   * The messages replayed on register: the backlog, or (after a reconnect
+   * with lastSeenId) what we missed
+   */
+  function addHistory(msg) {
+    if (typeof msg.sinceId === 'number') {
+      const missed = msg.messages.filter(m => !shown.has(m.id)).length;
+      if (missed) logNote(`${missed}${msg.hasMore ? '+' : ''} messages missed while disconnected`, 'system');
+      addMissed(msg);
+      return;
+    }
+
+    $('log').replaceChildren();
+    shown.clear();
+    oldestId = msg.messages.length ? msg.messages[0].id : 0;
+    $('older').hidden = !msg.hasMore;
+    msg.messages.forEach(addMessage);
+    for (const m of msg.messages) newestId = Math.max(newestId, m.id || 0);
+  }
+
+  /**
+   * Messages after `sinceId`, fetching more while the server has them
+   */
+  function addMissed(msg) {
+    msg.messages.forEach(addMessage);
+    for (const m of msg.messages) newestId = Math.max(newestId, m.id || 0);
+    if (msg.hasMore) send({ type: 'history_request', sinceId: newestId, limit: 500 });
+  }
+
+  /**
+   * A page from history_request: older messages (prepended) or missed ones
+   */
+  function addHistoryPage(msg) {
+    if (typeof msg.sinceId === 'number') {
+      addMissed(msg);
+      return;
+    }
+    const fresh = msg.messages.filter(m => !shown.has(m.id));
+    const log = $('log');
+    const first = log.firstChild;
+    for (const m of fresh) log.insertBefore(renderMessage(m), first);
+    fresh.forEach(m => shown.add(m.id));
+    if (fresh.length) oldestId = fresh[0].id;
+    $('older').hidden = !msg.hasMore;
+  }
+
+  $('older').addEventListener('click', () => {
+    send({ type: 'history_request', beforeId: oldestId, limit: HISTORY_PAGE });
+  });
+
+  // --- Rendering ---
+
+  function addMessage(m) {
+    if (m.id) {
+      if (shown.has(m.id)) return;
+      shown.add(m.id);
+    }
+    const panel = $('log-panel');
+    const atBottom = panel.scrollTop + panel.clientHeight >= panel.scrollHeight - 20;
+    const log = $('log');
+    log.appendChild(renderMessage(m));
+    while (log.childElementCount > MAX_LOG_ENTRIES) {
+      log.firstChild.remove();
+      $('older').hidden = false;
+    }
+    if (atBottom) panel.scrollTop = panel.scrollHeight;
+  }
+
+  function logNote(text, className) {
+    addMessage({ type: 'note', text, className, timestamp: Date.now() });
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function formatTime(ts) {
+    return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+  }
+
+  /**
+   * One log entry. Everything from the server is set as text, never as HTML.
+   */
+  function renderMessage(m) {
+    const li = el('li');
+    if (m.id) li.dataset.id = m.id;
+    li.append(el('span', 'time', `[${formatTime(m.timestamp)}] `));
+
+    if (m.type === 'note') {
+      li.append(el('span', m.className, `-- ${m.text} --`));
+      return li;
+    }
+    if (m.type === 'system') {
+      li.append(el('span', 'system', `-- ${m.text} --`));
+      return li;
+    }
+
+    if (m.replyTo) li.append(el('span', 'reply-to', `↳ #${m.replyTo} `));
+
+    switch (m.type) {
+      case 'discovery': {
+        const category = categories[m.category] || {};
+        const badge = el('span', 'category', `${category.icon || `[${String(m.category).toUpperCase()}]`} `);
+        badge.style.color = cssColor(category.color);
+        li.append(badge, el('span', 'from', m.from), document.createTextNode(': '));
+        break;
+      }
+      case 'dm':
+        li.append(el('span', 'dm', `[${m.from} -> ${m.to}] `));
+        break;
+      case 'question':
+        li.append(el('span', 'question', `[?] [${m.from}${m.to ? ' -> ' + m.to : ''}] `));
+        break;
+      case 'answer':
+        li.append(el('span', 'answer', `[A] [${m.from} -> ${m.to}] `));
+        break;
+      default:
+        li.append(el('span', 'from', `[${m.from}] `));
+    }
+
+    appendText(li, m.text || '', m.mentions || []);
+    if (m.type === 'question') li.append(el('span', 'time', ` (${m.questionId})`));
+    if (m.id) li.append(el('span', 'time', ` #${m.id}`));
+
+    const mentions = (m.mentions || []).map(x => x.toLowerCase());
+    if (m.from !== name && (mentions.includes(String(name).toLowerCase()) || mentions.includes('user'))) {
+      li.classList.add('mentions-me');
+    }
+
+    for (const a of m.attachments || []) li.append(renderAttachment(a));
+    return li;
+  }
+
+  /**
+   * Message text with the server-recognised @mentions highlighted
+   */
+  function appendText(parent, text, mentions) {
+    const known = new Set(mentions.map(x => x.toLowerCase()));
+    let last = 0;
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+      if (!known.has(match[2].toLowerCase())) continue;
+      const start = match.index + match[1].length - 1; // at the "@"
+      parent.append(document.createTextNode(text.slice(last, start)));
+      parent.append(el('span', 'mention', '@' + match[2]));
+      last = start + 1 + match[2].length;
+    }
+    parent.append(document.createTextNode(text.slice(last)));
+  }
+
+  function renderAttachment(a) {
+    const details = el('details', 'attachment');
+    if (a.kind === 'file') {
+      const lines = a.startLine ? `:${a.startLine}${a.endLine && a.endLine !== a.startLine ? '-' + a.endLine : ''}` : '';
+      details.append(el('summary', null, `file ${a.path}${lines}`));
+      return details;
+    }
+
+    const label = a.kind === 'code' ? `code${a.language ? ' (' + a.language + ')' : ''}` : `diff${a.path ? ' ' + a.path : ''}`;
+    const lineCount = a.content.split('\n').length;
+    details.append(el('summary', null, `${label} - ${lineCount} line${lineCount === 1 ? '' : 's'}`));
+
+    const pre = el('pre');
+    if (a.kind === 'diff') {
+      for (const line of a.content.split('\n')) {
+        let className = null;
+        if (line.startsWith('@@')) className = 'diff-hunk';
+        else if (line.startsWith('+') && !line.startsWith('+++')) className = 'diff-add';
+        else if (line.startsWith('-') && !line.startsWith('---')) className = 'diff-del';
+        pre.append(el('span', className, line + '\n'));
+      }
+    } else {
+      pre.textContent = a.content;
+    }
+    details.append(pre);
+    details.open = lineCount <= 12;
+    return details;
+  }
+
+  function cssColor(color) {
+    if (!color) return CSS_COLORS.white;
+    if (color.startsWith('#')) return color;
+    const base = color.replace(/^light-/, '');
+    return CSS_COLORS[base] || CSS_COLORS.white;
+  }
+
+  function renderParticipants(list) {
+    $('participant-count').textContent = `(${list.length})`;
+    $('participants').replaceChildren(...list.map(p => {
+      const li = el('li');
+      li.append(el('span', `state state-${p.status}`), el('span', 'from', p.name), el('span', 'time', ` ${p.type}`));
+      li.title = p.status;
+      if (p.task) li.append(el('span', 'task', p.task));
+      return li;
+    }));
+  }
+
+  function renderQuestions(list) {
+    questions = list;
+    $('question-count').textContent = `(${list.length})`;
+    $('questions').replaceChildren(...list.map(q => {
+      const li = el('li');
+      li.append(el('span', 'from', q.from), el('span', 'time', q.to ? ` -> ${q.to}` : ''), document.createElement('br'));
+      li.append(document.createTextNode(q.text));
+      const age = el('span', 'age', ` ${Math.round((Date.now() - q.askedAt) / 1000)}s ago`);
+      if (q.expiresAt && q.expiresAt - Date.now() < (q.expiresAt - q.askedAt) / 4) age.classList.add('expiring');
+      li.append(age);
+      li.addEventListener('click', () => startAnswer(q));
+      return li;
+    }));
+
+    // The question being answered went away (answered elsewhere or expired)
+    if (answering && !list.some(q => q.questionId === answering.questionId)) {
+      logNote(`Question ${answering.questionId} is no longer open`, 'error');
+      stopAnswer();
+    }
+  }
+
+  function renderRooms() {
+    const names = new Set(rooms.map(r => r.name));
+    if (room) names.add(room);
+    const counts = new Map(rooms.map(r => [r.name, r.participants]));
+    $('rooms').replaceChildren(...[...names].sort().map(n => {
+      const option = el('option', null, `${n} (${counts.get(n) || 0})`);
+      option.value = n;
+      option.selected = n === room;
+      return option;
+    }));
+  }
+
+  function setStatus(text, className) {
+    const status = $('status');
+    status.textContent = text;
+    status.className = className || '';
+  }
+
+  // --- Input ---
+
+  function startAnswer(q) {
+    answering = q;
+    const mode = $('mode');
+    mode.textContent = `Answering ${q.from}: "${q.text}" (Esc to cancel)`;
+    mode.hidden = false;
+    $('input').focus();
+  }
+
+  function stopAnswer() {
+    answering = null;
+    $('mode').hidden = true;
+  }
+
+  function switchRoom(target) {
+    if (!target || target === room) return;
+    if (send({ type: 'join_room', room: target })) {
+      room = target;
+      newestId = 0;
+      stopAnswer();
+      renderParticipants([]);
+      renderQuestions([]);
+    }
+  }
+
+  /**
+   * Send what was typed: an answer, a command, or a chat message
+   */
+  function submit(text) {
+    if (answering) {
+      if (send({ type: 'answer', questionId: answering.questionId, text })) stopAnswer();
+      return;
+    }
+
+    const command = text.match(/^\/(\w+)\s*(.*)$/s);
+    if (!command) {
+      send({ type: 'chat', text });
+      return;
+    }
+
+    const [, verb, rest] = command;
+    const [first, ...words] = rest.split(/\s+/);
+    const body = words.join(' ');
+    switch (verb) {
+      case 'msg':
+        if (!first || !body) return logNote('Usage: /msg <name> <text>', 'error');
+        send({ type: 'dm', to: first, text: body });
+        break;
+      case 'reply':
+        if (!/^\d+$/.test(first) || !body) return logNote('Usage: /reply <message id> <text>', 'error');
+        send({ type: 'chat', text: body, replyTo: parseInt(first, 10) });
+        break;
+      case 'answer': {
+        const q = questions.find(x => x.questionId === first) || questions[parseInt(first, 10) - 1];
+        if (!q || !body) return logNote('Usage: /answer <question id or #> <text>', 'error');
+        send({ type: 'answer', questionId: q.questionId, text: body });
+        break;
+      }
+      case 'join':
+        if (!first) return logNote('Usage: /join <room>', 'error');
+        switchRoom(first);
+        break;
+      default:
+        logNote(`Unknown command /${verb} (try /msg, /reply, /answer, /join)`, 'error');
+    }
+  }
+
+  $('send').addEventListener('submit', event => {
+    event.preventDefault();
+    const input = $('input');
+    const text = input.value.trim();
+    if (!text) return;
+    submit(text);
+    input.value = '';
+  });
+
+  $('input').addEventListener('keydown', event => {
+    if (event.key === 'Escape' && answering) stopAnswer();
+  });
+
+  $('rooms').addEventListener('change', event => switchRoom(event.target.value));
+
+  start();
+})();